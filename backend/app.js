@@ -0,0 +1,159 @@
+// app.js
+// Builds the Express app without connecting to Mongo or listening, so the
+// entry point (server.js) and the integration tests can each set it up.
+import express from 'express';
+import mongoose from 'mongoose';
+import cors from 'cors';
+import compression from 'compression';
+import bodyParser from 'body-parser';
+import path from 'path';
+import authRoutes from './routes/auth.js';
+import userRoutes from './routes/users.js';
+import projectRoutes, { parseImportJson } from './routes/projects.js';
+import messageRoutes from './routes/messages.js';
+import portalRoutes from './routes/portal.js';
+import orderRoutes from './routes/orders.js';
+import quarantineRoutes from './routes/quarantine.js';
+import auditRoutes from './routes/audit.js';
+import eventRoutes, { parseBeacon } from './routes/events.js';
+import analyticsRoutes from './routes/analytics.js';
+import syncRoutes from './routes/sync.js';
+import streamRoutes from './routes/stream.js';
+import crawlerRoutes from './routes/crawlers.js';
+import healthRoutes from './routes/health.js';
+import { getStorage } from './storage/index.js';
+import { getConfig } from './lib/config.js';
+import { renderPage } from './lib/pageMeta.js';
+import { logger } from './lib/logger.js';
+import { requestId, requestLogger, REQUEST_ID_HEADER } from './middleware/requestLog.js';
+import { notFound, errorHandler } from './middleware/errors.js';
+
+// Vite names built files like assets/index-BX2NS6d3.js; the hash changes with
+// the content, so those can be cached for good
+const HASHED_ASSET = /^assets\/.+-[\w-]{8,}\.\w+$/;
+
+// Event streams must reach the client as they are written, not when a
+// compressor's buffer fills
+const shouldCompress = (req, res) =>
+  !String(res.getHeader('Content-Type') || '').startsWith('text/event-stream') && compression.filter(req, res);
+
+// `db` is the Mongoose connection the models use; it is only read here for
+// health reporting. `config` overrides any of the settings from getConfig().
+export function createApp({ db = mongoose.connection, config = {} } = {}) {
+  const { corsOrigins, trustProxy, distPath, bodyLimit } = { ...getConfig(), ...config };
+
+  const app = express();
+  app.locals.db = db;
+
+  // ==========================
+  // Request IDs and Logging
+  // ==========================
+  app.use(requestId);
+  app.use(requestLogger);
+
+  // ==========================
+  // Health Checks
+  // ==========================
+  app.use(healthRoutes);
+
+  // ==========================
+  // Middleware
+  // ==========================
+  // Needed behind a reverse proxy so rate limits see the client address
+  // rather than the proxy's
+  if (trustProxy !== undefined) app.set('trust proxy', trustProxy);
+
+  // gzip or brotli, whichever the client prefers
+  app.use(compression({ filter: shouldCompress }));
+
+  app.use(
+    cors({
+      origin: corsOrigins.includes('*') ? '*' : corsOrigins,
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+      allowedHeaders: ['Content-Type', 'Authorization', REQUEST_ID_HEADER],
+      exposedHeaders: [REQUEST_ID_HEADER, 'Retry-After']
+    })
+  );
+
+  // Routes with limits of their own parse first; body-parser skips a body
+  // that has already been read
+  app.use('/api/projects/import', parseImportJson);
+  app.use('/api/events', parseBeacon);
+
+  // Images go through the multipart upload endpoint, so JSON bodies stay small
+  app.use(bodyParser.json({ limit: bodyLimit }));
+  app.use(bodyParser.urlencoded({ limit: bodyLimit, extended: true }));
+
+  // ==========================
+  // Crawler Files (sitemap, robots, feed)
+  // ==========================
+  app.use(crawlerRoutes);
+
+  // ==========================
+  // Serve Frontend (React build)
+  // ==========================
+  // index.html itself is rendered by the fallback route below, with page meta
+  app.use(
+    express.static(distPath, {
+      index: false,
+      setHeaders: (res, filePath) => {
+        const file = path.relative(distPath, filePath).split(path.sep).join('/');
+        if (HASHED_ASSET.test(file)) res.set('Cache-Control', 'public, max-age=31536000, immutable');
+        else if (file === 'index.html') res.set('Cache-Control', 'no-cache');
+      }
+    })
+  );
+
+  // ==========================
+  // Serve Uploads (local storage)
+  // ==========================
+  const storage = getStorage();
+  if (storage.rootDir) {
+    // Upload keys are unique per file, so they can be cached forever
+    app.use(storage.publicPath, express.static(storage.rootDir, { maxAge: '1y', immutable: true }));
+  }
+
+  // ==========================
+  // API Routes
+  // ==========================
+  app.use('/api/auth', authRoutes);
+  app.use('/api/users', userRoutes);
+  app.use('/api/projects', projectRoutes);
+  app.use('/api/messages', messageRoutes);
+  app.use('/api/audit', auditRoutes);
+  app.use('/api/quarantine', quarantineRoutes);
+  app.use('/api/orders', orderRoutes);
+  app.use('/api/portal', portalRoutes);
+  app.use('/api/events', eventRoutes);
+  app.use('/api/analytics', analyticsRoutes);
+  app.use('/api/sync', syncRoutes);
+  app.use('/api/stream', streamRoutes);
+
+  // Unknown API paths get a JSON 404 rather than the app shell
+  app.use('/api', notFound);
+
+  // ==========================
+  // React Router Fallback
+  // ==========================
+  // Every page gets the app shell with its own <title> and preview tags. The
+  // shell names the current hashed assets, so browsers must always revalidate it.
+  app.get('*', async (req, res) => {
+    const indexFile = path.join(distPath, 'index.html');
+    res.set('Cache-Control', 'no-cache');
+
+    try {
+      const { status, html } = await renderPage(indexFile, req.path);
+      res.status(status).type('html').send(html);
+    } catch (err) {
+      logger.error('Page render failed', { requestId: req.id, url: req.originalUrl, err });
+      res.sendFile(indexFile);
+    }
+  });
+
+  // ==========================
+  // Error Handling
+  // ==========================
+  app.use(errorHandler);
+
+  return app;
+}
@@ -0,0 +1,42 @@
+// lib/cache.js
+// Small in-memory cache with a TTL. Each process keeps its own copy, so it
+// suits data that is cheap to rebuild and can be slightly stale elsewhere.
+// With `maxEntries`, the oldest entry is dropped to make room for a new one.
+export function createCache({ ttlMs, maxEntries = Infinity }) {
+  const entries = new Map();
+  // Bumped by clear(), so work started before a clear can tell its result
+  // may already be stale
+  let generation = 0;
+
+  const get = key => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    if (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return value;
+  };
+
+  return {
+    get,
+    set,
+    clear: () => {
+      entries.clear();
+      generation += 1;
+    },
+    generation: () => generation,
+    // Returns the cached value for `key`, building and storing it on a miss
+    async wrap(key, build) {
+      const cached = get(key);
+      return cached !== undefined ? cached : set(key, await build());
+    }
+  };
+}
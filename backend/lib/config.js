@@ -0,0 +1,256 @@
+// lib/config.js
+// Every setting the server reads from the environment, in one place. The
+// environment (plus .env) is validated and coerced on first use, and all
+// problems are reported together so a bad deploy fails with the full list.
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BACKEND_DIR = path.join(__dirname, '..');
+
+export const ENVIRONMENTS = ['development', 'test', 'production'];
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Thrown by loadConfig with one line per missing or invalid variable
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// ==========================
+// Parsers
+// ==========================
+// Each takes the raw string and returns the coerced value, or throws with
+// the rest of a sentence that starts with the variable name
+const string = value => value;
+
+const integer = ({ min = 0, max = Infinity } = {}) => value => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`must be a whole number${max < Infinity ? ` from ${min} to ${max}` : ` of at least ${min}`}`);
+  }
+  return number;
+};
+
+const boolean = value => {
+  if (['true', '1'].includes(value)) return true;
+  if (['false', '0'].includes(value)) return false;
+  throw new Error('must be true or false');
+};
+
+const oneOf = choices => value => {
+  if (!choices.includes(value)) throw new Error(`must be one of: ${choices.join(', ')}`);
+  return value;
+};
+
+const list = value => {
+  const items = value.split(',').map(item => item.trim()).filter(Boolean);
+  if (!items.length) throw new Error('must list at least one value');
+  return items;
+};
+
+const url = value => {
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch {
+    throw new Error('must be an absolute URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('must be an http(s) URL');
+  return value.replace(/\/+$/, '');
+};
+
+const mongoUri = value => {
+  if (!/^mongodb(\+srv)?:\/\/\S+$/.test(value)) throw new Error('must be a mongodb:// or mongodb+srv:// URI');
+  return value;
+};
+
+const BYTE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+// "1mb", "512kb" or a plain byte count
+const bytes = value => {
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(value);
+  if (!match) throw new Error('must be a size such as 1mb, 512kb or a number of bytes');
+  return Math.floor(Number(match[1]) * BYTE_UNITS[(match[2] || 'b').toLowerCase()]);
+};
+
+// Token lifetimes in the jsonwebtoken format, e.g. 15m or 7d
+const duration = value => {
+  if (!/^\d+(ms|s|m|h|d|w|y)$/.test(value)) throw new Error('must be a duration such as 30s, 15m or 7d');
+  return value;
+};
+
+// A hop count, true, or an Express trust setting such as "loopback"
+const trustProxy = value => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  const hops = Number(value);
+  return Number.isNaN(hops) ? value : hops;
+};
+
+const directory = value => path.resolve(BACKEND_DIR, value);
+
+// ==========================
+// Settings
+// ==========================
+// Config key (dotted for nested groups) => environment variable. Unset
+// variables fall back to DEFAULTS; `required` ones must end up with a value,
+// either in every environment or only in the one named.
+const SETTINGS = {
+  port: { env: 'PORT', parse: integer({ min: 1, max: 65535 }) },
+  publicUrl: { env: 'PUBLIC_URL', parse: url, required: 'production' },
+  mongoUri: { env: 'MONGODB_URI', parse: mongoUri, required: true },
+  corsOrigins: { env: 'CORS_ORIGINS', parse: list, required: true },
+  trustProxy: { env: 'TRUST_PROXY', parse: trustProxy },
+  bodyLimit: { env: 'BODY_LIMIT', parse: bytes },
+  distPath: { env: 'DIST_PATH', parse: directory },
+  logLevel: { env: 'LOG_LEVEL', parse: oneOf(LOG_LEVELS) },
+  startupMaxAttempts: { env: 'STARTUP_MAX_ATTEMPTS', parse: integer() },
+  shutdownTimeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', parse: integer({ min: 1 }) },
+
+  'auth.jwtSecret': { env: 'JWT_SECRET', parse: string, required: true },
+  'auth.accessTokenTtl': { env: 'ACCESS_TOKEN_TTL', parse: duration },
+  'auth.refreshTokenTtl': { env: 'REFRESH_TOKEN_TTL', parse: duration },
+  'auth.portalLinkTtl': { env: 'PORTAL_LINK_TTL', parse: duration },
+  'auth.portalSessionTtl': { env: 'PORTAL_SESSION_TTL', parse: duration },
+
+  'storage.driver': { env: 'STORAGE_DRIVER', parse: oneOf(['local', 's3']) },
+  'storage.uploadDir': { env: 'UPLOAD_DIR', parse: directory },
+  'storage.maxUploadBytes': { env: 'UPLOAD_MAX_BYTES', parse: bytes },
+  'storage.s3.endpoint': { env: 'S3_ENDPOINT', parse: url },
+  'storage.s3.region': { env: 'S3_REGION', parse: string },
+  'storage.s3.bucket': { env: 'S3_BUCKET', parse: string },
+  'storage.s3.accessKeyId': { env: 'S3_ACCESS_KEY_ID', parse: string },
+  'storage.s3.secretAccessKey': { env: 'S3_SECRET_ACCESS_KEY', parse: string },
+  'storage.s3.publicUrl': { env: 'S3_PUBLIC_URL', parse: url },
+
+  'mail.transport': { env: 'MAIL_TRANSPORT', parse: oneOf(['smtp', 'json']) },
+  'mail.from': { env: 'MAIL_FROM', parse: string },
+  'mail.staffNotifyEmails': { env: 'STAFF_NOTIFY_EMAILS', parse: list },
+  'mail.smtp.host': { env: 'SMTP_HOST', parse: string },
+  'mail.smtp.port': { env: 'SMTP_PORT', parse: integer({ min: 1, max: 65535 }) },
+  'mail.smtp.secure': { env: 'SMTP_SECURE', parse: boolean },
+  'mail.smtp.user': { env: 'SMTP_USER', parse: string },
+  'mail.smtp.pass': { env: 'SMTP_PASS', parse: string },
+
+  rateLimitStore: { env: 'RATE_LIMIT_STORE', parse: oneOf(['memory', 'mongo']) }
+};
+
+// Raw values, parsed like any other, used when a variable is unset
+const DEFAULTS = {
+  PORT: '5000',
+  BODY_LIMIT: '1mb',
+  DIST_PATH: 'dist',
+  LOG_LEVEL: 'info',
+  STARTUP_MAX_ATTEMPTS: '10',
+  SHUTDOWN_TIMEOUT_MS: '15000',
+  ACCESS_TOKEN_TTL: '15m',
+  REFRESH_TOKEN_TTL: '7d',
+  PORTAL_LINK_TTL: '30m',
+  PORTAL_SESSION_TTL: '7d',
+  STORAGE_DRIVER: 'local',
+  UPLOAD_DIR: 'uploads',
+  UPLOAD_MAX_BYTES: '5mb',
+  S3_REGION: 'us-east-1',
+  MAIL_TRANSPORT: 'smtp',
+  MAIL_FROM: 'Nexverra <no-reply@nexverra.com>',
+  SMTP_HOST: 'localhost',
+  SMTP_PORT: '1025',
+  SMTP_SECURE: 'false',
+  RATE_LIMIT_STORE: 'memory'
+};
+
+// Production has no fallbacks for the database, CORS allow-list or public
+// URL; development and test run against a local Mongo with any origin.
+const ENVIRONMENT_DEFAULTS = {
+  development: {
+    MONGODB_URI: 'mongodb://127.0.0.1:27017/nexverra',
+    CORS_ORIGINS: '*',
+    LOG_LEVEL: 'debug'
+  },
+  test: {
+    MONGODB_URI: 'mongodb://127.0.0.1:27017/nexverra-test',
+    CORS_ORIGINS: '*',
+    JWT_SECRET: 'test-secret',
+    LOG_LEVEL: 'silent',
+    MAIL_TRANSPORT: 'json'
+  },
+  production: {}
+};
+
+function setPath(target, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => (node[part] ??= {}), target);
+  parent[last] = value;
+}
+
+// ==========================
+// Loading
+// ==========================
+// Builds the config from `env` (process.env by default); throws a
+// ConfigError listing every problem. Empty variables count as unset. With
+// `only`, a list of config keys, just those settings are required.
+export function loadConfig(env = process.env, { only } = {}) {
+  const environment = env.NODE_ENV?.trim() || 'development';
+  if (!ENVIRONMENTS.includes(environment)) {
+    throw new ConfigError([`NODE_ENV must be one of: ${ENVIRONMENTS.join(', ')}`]);
+  }
+
+  const defaults = { ...DEFAULTS, ...ENVIRONMENT_DEFAULTS[environment] };
+  const config = { env: environment, isProduction: environment === 'production' };
+  const problems = [];
+
+  for (const [key, { env: name, parse, required }] of Object.entries(SETTINGS)) {
+    const raw = env[name]?.trim() || defaults[name];
+    setPath(config, key, undefined);
+
+    if (raw === undefined) {
+      const needed = !only || only.includes(key);
+      if (needed && (required === true || required === environment)) problems.push(`${name} is required`);
+      continue;
+    }
+
+    try {
+      setPath(config, key, parse(raw));
+    } catch (err) {
+      problems.push(`${name} ${err.message}`);
+    }
+  }
+
+  if (config.storage.driver === 's3' && !config.storage.s3.bucket) {
+    problems.push('S3_BUCKET is required when STORAGE_DRIVER is s3');
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+
+  config.publicUrl ??= `http://localhost:${config.port}`;
+  return config;
+}
+
+let config;
+
+// The config for this process, loaded from .env and process.env on first
+// use. Modules call this when they need a setting rather than at import, so
+// the environment can still be set up after they are loaded (as tests do).
+export function getConfig() {
+  if (!config) {
+    dotenv.config();
+    config = loadConfig(process.env);
+  }
+  return config;
+}
+
+// For scripts, which use only a few settings: loads the config for this
+// process as getConfig() would, but requires just the settings in `keys`.
+// Later getConfig() calls return it.
+export function loadConfigFor(keys) {
+  dotenv.config();
+  config = loadConfig(process.env, { only: keys });
+  return config;
+}
@@ -0,0 +1,75 @@
+// lib/csv.js
+// RFC 4180 CSV: fields containing commas, quotes or line breaks are quoted,
+// with quotes doubled. Rows end in CRLF.
+
+// Spreadsheet apps evaluate text cells starting with these as formulas, so
+// exported text gets a leading apostrophe to keep it inert
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (Array.isArray(value)) text = value.join('; ');
+  else text = String(value);
+
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export const csvRow = values => `${values.map(csvCell).join(',')}\r\n`;
+
+// Splits CSV text into rows of strings. Quoted fields may contain commas,
+// doubled quotes and line breaks; a leading byte order mark is ignored.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const source = text.replace(/^\ufeff/, '');
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(cell => cell !== ''));
+}
+
+// Parses CSV with a header row into one object per row, keyed by header
+export function parseCsvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const names = header.map(name => name.trim());
+  return rows.map(cells => Object.fromEntries(names.map((name, index) => [name, cells[index] ?? ''])));
+}
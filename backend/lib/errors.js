@@ -0,0 +1,72 @@
+// lib/errors.js
+// Errors routes throw (or pass to next) for the error handler in
+// middleware/errors.js, which turns them into the standard error response:
+//   { message, code, requestId, errors?, ...details }
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'VALIDATION_FAILED',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// `errors` lists field problems as { field, location, message }; `details`
+// adds extra top-level fields to the response, e.g. the id of a conflict.
+export class HttpError extends Error {
+  constructor(status, message, { code, errors, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code || STATUS_CODES[status] || 'ERROR';
+    this.errors = errors;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends HttpError {
+  constructor(message = 'Bad request', options) {
+    super(400, message, options);
+  }
+}
+
+export class UnauthorizedError extends HttpError {
+  constructor(message = 'Authentication required', options) {
+    super(401, message, options);
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  constructor(message = 'You do not have permission to do this', options) {
+    super(403, message, options);
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message = 'Not found', options) {
+    super(404, message, options);
+  }
+}
+
+export class ConflictError extends HttpError {
+  constructor(message = 'Conflict', options) {
+    super(409, message, options);
+  }
+}
+
+export class ValidationError extends HttpError {
+  constructor(errors, message = 'Validation failed') {
+    super(422, message, { errors });
+  }
+}
+
+export class TooManyRequestsError extends HttpError {
+  constructor(message = 'Too many requests, please try again later', options) {
+    super(429, message, options);
+  }
+}
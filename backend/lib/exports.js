@@ -0,0 +1,62 @@
+// lib/exports.js
+// Streams query results to the client as a CSV or JSON download, one
+// document at a time, so large collections never sit in memory.
+import { csvRow } from './csv.js';
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+const fieldAt = (doc, path) => path.split('.').reduce((node, key) => node?.[key], doc);
+
+// Resolves once the client has taken buffered output, or has gone away
+const drained = res =>
+  new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+// Writes every document from `cursor` to `res` as `filename`.<format>.
+// CSV columns are { header: field path or function of the document };
+// JSON exports contain whole documents. Errors after the first byte cut the
+// download short, which the error handler does by closing the connection.
+export async function streamExport(res, { cursor, format, filename, columns }) {
+  res.attachment(`${filename}.${format}`);
+  res.type(CONTENT_TYPES[format]);
+
+  const write = async chunk => {
+    if (!res.write(chunk)) await drained(res);
+  };
+
+  const accessors = Object.values(columns).map(column =>
+    typeof column === 'function' ? column : doc => fieldAt(doc, column)
+  );
+  let count = 0;
+
+  // The byte order mark makes Excel read the file as UTF-8
+  await write(format === 'csv' ? `\ufeff${csvRow(Object.keys(columns))}` : '[');
+
+  for await (const doc of cursor) {
+    if (res.destroyed) break;
+
+    if (format === 'csv') {
+      await write(csvRow(accessors.map(accessor => accessor(doc))));
+    } else {
+      await write(`${count ? ',' : ''}\n${JSON.stringify(doc)}`);
+    }
+    count += 1;
+  }
+
+  res.end(format === 'json' ? `${count ? '\n' : ''}]\n` : undefined);
+}
+
+// "projects-2024-05-01"
+export const exportFilename = name => `${name}-${new Date().toISOString().slice(0, 10)}`;
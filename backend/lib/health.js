@@ -0,0 +1,30 @@
+// lib/health.js
+// Process state reported by /healthz and /readyz
+import fs from 'fs';
+import mongoose from 'mongoose';
+
+const { version } = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+let shuttingDown = false;
+
+// Called once a shutdown signal arrives, so readiness fails while draining
+export function markShuttingDown() {
+  shuttingDown = true;
+}
+
+export const isShuttingDown = () => shuttingDown;
+
+export function healthReport(db = mongoose.connection) {
+  const mongo = MONGO_STATES[db.readyState] || 'unknown';
+
+  return {
+    // Ready to take traffic: connected to Mongo and not on the way out
+    ready: mongo === 'connected' && !shuttingDown,
+    version,
+    uptime: Math.round(process.uptime()),
+    mongo,
+    shuttingDown
+  };
+}
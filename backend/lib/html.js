@@ -0,0 +1,10 @@
+// lib/html.js
+// Escapes text for use in HTML content and attribute values
+export const escapeHtml = value =>
+  String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
@@ -0,0 +1,61 @@
+// lib/images.js
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { getStorage } from '../storage/index.js';
+
+export const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const FULL_WIDTH = 1600;
+const THUMBNAIL_WIDTH = 480;
+const QUALITY = 82;
+
+const CONTENT_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+// Resizes (never enlarges), auto-orients from EXIF and re-encodes, which
+// also strips metadata such as GPS tags.
+function render(buffer, width, format) {
+  return sharp(buffer)
+    .rotate()
+    .resize({ width, withoutEnlargement: true })
+    .toFormat(format, { quality: QUALITY })
+    .toBuffer();
+}
+
+// Stores a project image as a full size and a thumbnail, each in a
+// browser-safe format and as WebP, and returns the fields to set on the
+// Project. Returns null if the buffer is not a readable image.
+export async function storeProjectImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    return null;
+  }
+
+  // PNG keeps transparency; everything else is served as JPEG
+  const format = ['png', 'gif'].includes(metadata.format) ? 'png' : 'jpeg';
+  const prefix = `projects/${crypto.randomUUID()}`;
+  const storage = getStorage();
+
+  const store = async (name, width, outputFormat) =>
+    storage.put(
+      `${prefix}/${name}.${EXTENSIONS[outputFormat]}`,
+      await render(buffer, width, outputFormat),
+      CONTENT_TYPES[outputFormat]
+    );
+
+  const [image, webp, thumbnail, thumbnailWebp] = await Promise.all([
+    store('full', FULL_WIDTH, format),
+    store('full', FULL_WIDTH, 'webp'),
+    store('thumbnail', THUMBNAIL_WIDTH, format),
+    store('thumbnail', THUMBNAIL_WIDTH, 'webp')
+  ]);
+
+  return { image, imageVariants: { webp, thumbnail, thumbnailWebp } };
+}
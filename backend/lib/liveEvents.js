@@ -0,0 +1,209 @@
+// lib/liveEvents.js
+// Live updates for the admin panel, streamed to staff by routes/stream.js.
+// On a replica set, events come from MongoDB change streams, which see the
+// writes of every app instance. A standalone server has no change streams,
+// so the models publish their own writes instead, which covers only this
+// process.
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import { logger } from './logger.js';
+
+// Recent events kept for clients that reconnect with Last-Event-ID
+const HISTORY_SIZE = 500;
+
+// Ids are "<epoch>-<sequence>". The epoch is new on every start, so an id
+// from an earlier run or another instance is never mistaken for one of ours.
+const epoch = crypto.randomBytes(4).toString('hex');
+let sequence = 0;
+const history = [];
+
+const bus = new EventEmitter();
+// One listener per open stream
+bus.setMaxListeners(0);
+
+let changeStreams = [];
+
+// ==========================
+// Events
+// ==========================
+// Turn a write into [type, data], or null when it is not worth announcing.
+// `doc` is the document after the write; `changed` holds the top-level
+// fields an update touched.
+const DESCRIBERS = {
+  Message: (doc, { created, changed }) => {
+    const id = String(doc._id);
+    if (created) {
+      const { senderName, subject, type, plan } = doc;
+      return ['message.created', { id, senderName, subject, type, plan }];
+    }
+    // Replies come from staff or, through the portal, from the client
+    if (changed.has('history')) {
+      return ['message.replied', { id, sender: doc.history?.at(-1)?.sender, status: doc.status }];
+    }
+    if (changed.has('status')) return ['message.status', { id, status: doc.status }];
+    return null;
+  },
+
+  // Moving a project to the trash counts as deleting it; purging it again
+  // arrives with `removed`
+  Project: (doc, { created, changed, removed }) => {
+    const id = String(doc._id);
+    if (removed) return ['project.deleted', { id, purged: true }];
+    if (created) return ['project.created', { id, title: doc.title, slug: doc.slug, status: doc.status }];
+    if (changed.has('deletedAt') && doc.deletedAt) return ['project.deleted', { id, purged: false }];
+    return ['project.updated', { id, title: doc.title, slug: doc.slug, status: doc.status }];
+  }
+};
+
+function publish(type, data) {
+  sequence += 1;
+  const event = { id: `${epoch}-${sequence}`, type, data, timestamp: new Date() };
+
+  history.push(event);
+  if (history.length > HISTORY_SIZE) history.shift();
+
+  bus.emit('event', event);
+}
+
+function publishChange(modelName, doc, { created = false, changed = new Set(), removed = false }) {
+  const described = DESCRIBERS[modelName](doc, { created, changed, removed });
+  if (described) publish(...described);
+}
+
+// Top-level fields an update document touches, e.g.
+// { $push: { history: … }, $set: { status } } => history, status
+function updatedFields(update = {}) {
+  const paths = Object.entries(update).flatMap(([key, value]) => (key.startsWith('$') ? Object.keys(value) : [key]));
+  return new Set(paths.map(path => path.split('.')[0]));
+}
+
+// Mongoose plugin that publishes the writes made through a model while
+// change streams are not running. Query results are read again unless the
+// query returned the updated document, and updateOne/updateMany are read
+// back by their filter. A failure here never fails the write.
+export function liveEventsPlugin(schema, { modelName }) {
+  const publishWrite = async describe => {
+    if (changeStreams.length) return;
+    try {
+      for (const [doc, change] of await describe()) publishChange(modelName, doc, change);
+    } catch (err) {
+      logger.error('Live event failed', { model: modelName, err });
+    }
+  };
+
+  schema.pre('save', function () {
+    this.$locals.liveChange = {
+      created: this.isNew,
+      changed: new Set(this.modifiedPaths().map(path => path.split('.')[0]))
+    };
+  });
+
+  schema.post('save', doc => publishWrite(() => [[doc, doc.$locals.liveChange]]));
+
+  schema.post('insertMany', docs => publishWrite(() => docs.map(doc => [doc, { created: true }])));
+
+  schema.post('findOneAndUpdate', function (doc) {
+    if (!doc) return;
+    const { new: returnedNew, returnDocument } = this.getOptions();
+    const changed = updatedFields(this.getUpdate());
+
+    return publishWrite(async () => {
+      const after = returnedNew || returnDocument === 'after' ? doc : await this.model.findById(doc._id).lean();
+      return after ? [[after, { changed }]] : [];
+    });
+  });
+
+  schema.post(['updateOne', 'updateMany'], function () {
+    const changed = updatedFields(this.getUpdate());
+
+    return publishWrite(async () => {
+      const docs = await this.model.find(this.getFilter()).lean();
+      return docs.map(doc => [doc, { changed }]);
+    });
+  });
+
+  schema.post('findOneAndDelete', doc => doc && publishWrite(() => [[doc, { removed: true }]]));
+}
+
+// ==========================
+// Subscribers
+// ==========================
+// `listener` gets every event; `onClose` runs when the server shuts down.
+// Returns a function that unsubscribes.
+export function subscribe(listener, onClose) {
+  bus.on('event', listener);
+  if (onClose) bus.on('close', onClose);
+
+  return () => {
+    bus.off('event', listener);
+    if (onClose) bus.off('close', onClose);
+  };
+}
+
+// Events published after `lastEventId`, oldest first, or null when that id
+// is no longer in the history or came from another process
+export function eventsSince(lastEventId) {
+  const index = history.findIndex(event => event.id === lastEventId);
+  return index === -1 ? null : history.slice(index + 1);
+}
+
+// ==========================
+// Change Streams
+// ==========================
+function watch(Model) {
+  const stream = Model.watch([], { fullDocument: 'updateLookup' });
+
+  stream.on('change', change => {
+    const { operationType, fullDocument, documentKey, updateDescription } = change;
+
+    if (operationType === 'delete') {
+      publishChange(Model.modelName, documentKey, { removed: true });
+      return;
+    }
+    // Removed again before the lookup ran; its delete follows
+    if (!fullDocument) return;
+
+    const paths =
+      operationType === 'update'
+        ? [...Object.keys(updateDescription.updatedFields), ...updateDescription.removedFields]
+        : Object.keys(fullDocument);
+    publishChange(Model.modelName, fullDocument, {
+      created: operationType === 'insert',
+      changed: new Set(paths.map(path => path.split('.')[0]))
+    });
+  });
+
+  // The models take over; writes made meanwhile by other instances are missed
+  stream.on('error', err => {
+    logger.error('Change stream failed, falling back to in-process events', { model: Model.modelName, err });
+    closeChangeStreams();
+  });
+
+  return stream;
+}
+
+async function closeChangeStreams() {
+  const streams = changeStreams;
+  changeStreams = [];
+  await Promise.all(streams.map(stream => stream.close().catch(() => {})));
+}
+
+// Called once connected. Change streams need a replica set or a sharded
+// cluster; anything else keeps the in-process events.
+export async function startLiveEvents(connection = mongoose.connection) {
+  const hello = await connection.db.admin().command({ hello: 1 });
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    logger.info('MongoDB is standalone, live events cover this process only');
+    return;
+  }
+
+  changeStreams = Object.keys(DESCRIBERS).map(name => watch(connection.model(name)));
+  logger.info('Live events sourced from change streams');
+}
+
+// Ends every open stream, so shutdown is not held up by them
+export async function stopLiveEvents() {
+  bus.emit('close');
+  await closeChangeStreams();
+}
@@ -0,0 +1,45 @@
+// lib/logger.js
+// Structured logs: one JSON object per line, { time, level, msg, ...fields }.
+// LOG_LEVEL sets the minimum level written (debug, info, warn, error or
+// silent); see lib/config.js for the defaults.
+import { getConfig } from './config.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// While the config itself is invalid there is no level yet, and the
+// problems still need logging
+function minLevel() {
+  try {
+    return LEVELS[getConfig().logLevel];
+  } catch {
+    return LEVELS.info;
+  }
+}
+
+const serializeError = err => ({
+  name: err.name,
+  message: err.message,
+  ...(err.code !== undefined && { code: err.code }),
+  stack: err.stack
+});
+
+// Returns the log line for an entry, or null when `level` is filtered out
+export function formatLog(level, msg, fields = {}) {
+  if (LEVELS[level] < minLevel()) return null;
+
+  const entry = { time: new Date().toISOString(), level, msg, ...fields };
+  if (fields.err instanceof Error) entry.err = serializeError(fields.err);
+  return `${JSON.stringify(entry)}\n`;
+}
+
+function write(level, msg, fields) {
+  const line = formatLog(level, msg, fields);
+  if (line) (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+}
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
@@ -0,0 +1,141 @@
+// lib/pageMeta.js
+// Fills in the <title>, description and OpenGraph tags of the built
+// index.html for the requested route, so links shared to crawlers and chat
+// apps preview properly even though the pages themselves render client-side.
+import fs from 'fs/promises';
+import Project from '../models/Project.js';
+import { escapeHtml } from './html.js';
+import { publicUrl } from './urls.js';
+
+export const SITE_NAME = 'Nexverra';
+const DESCRIPTION_LENGTH = 160;
+
+export const DEFAULT_META = {
+  title: `${SITE_NAME} | Creative Digital Agency`,
+  description:
+    'Nexverra is a creative digital agency building websites, dashboards, brand identities and UI/UX design for growing businesses.'
+};
+
+const STATIC_PAGES = {
+  '/': DEFAULT_META,
+  '/works': {
+    title: `Our Work | ${SITE_NAME}`,
+    description: 'Templates, dashboards and websites designed and built by the Nexverra team.'
+  },
+  '/services': {
+    title: `Services | ${SITE_NAME}`,
+    description: 'Web development, brand identity and UI/UX design services from Nexverra.'
+  },
+  '/services/web-development': {
+    title: `Web Development | ${SITE_NAME}`,
+    description: 'High-performance websites and dashboards designed for security, scalability, and growth.'
+  },
+  '/services/brand-identity': {
+    title: `Brand Identity | ${SITE_NAME}`,
+    description: 'Creating unique logos and brand guidelines that resonate with your target audience.'
+  },
+  '/services/ui-ux-design': {
+    title: `UI/UX Design | ${SITE_NAME}`,
+    description: 'User-centric design that ensures a seamless and engaging experience for your customers.'
+  },
+  '/contact': {
+    title: `Contact | ${SITE_NAME}`,
+    description: 'Tell us about your project and pick a plan. The Nexverra team will get back to you shortly.'
+  }
+};
+
+// Public routes of the React app, listed in the sitemap
+export const PUBLIC_PAGES = Object.keys(STATIC_PAGES);
+
+// Staff and client-only pages are kept out of search results
+export const PRIVATE_PREFIXES = ['/admin', '/login', '/portal'];
+
+const WORK_PATH = /^\/works\/([^/]+)\/?$/;
+
+// Cut to a length search engines show in full, on a word boundary
+function summarize(text) {
+  const flat = String(text ?? '').replace(/\s+/g, ' ').trim();
+  if (flat.length <= DESCRIPTION_LENGTH) return flat;
+  return `${flat.slice(0, DESCRIPTION_LENGTH - 1).replace(/\s+\S*$/, '')}…`;
+}
+
+// "/works/" and "/works" are the same page
+const normalizePath = pathname => (pathname.length > 1 ? pathname.replace(/\/+$/, '') || '/' : pathname);
+
+const absoluteUrl = url => (!url || /^https?:\/\//.test(url) ? url : `${publicUrl()}${url}`);
+
+async function projectMeta(slug) {
+  const project = await Project.findOne({ ...Project.liveFilter(), slug: slug.toLowerCase() })
+    .select('title description image imageVariants seo')
+    .lean();
+  if (!project) return null;
+
+  return {
+    title: project.seo?.title || `${project.title} | ${SITE_NAME}`,
+    description: summarize(project.seo?.description || project.description),
+    image: absoluteUrl(project.seo?.image || project.image),
+    type: 'article'
+  };
+}
+
+// Returns { status, meta } for `pathname`. Unknown project slugs are a 404
+// so crawlers drop them, but still get the app shell to render.
+export async function resolvePageMeta(pathname) {
+  const normalized = normalizePath(pathname);
+
+  const work = WORK_PATH.exec(normalized);
+  if (work) {
+    const meta = await projectMeta(decodeURIComponent(work[1]));
+    return meta ? { status: 200, meta } : { status: 404, meta: { ...DEFAULT_META, noindex: true } };
+  }
+
+  if (PRIVATE_PREFIXES.some(prefix => normalized === prefix || normalized.startsWith(`${prefix}/`))) {
+    return { status: 200, meta: { ...DEFAULT_META, noindex: true } };
+  }
+
+  return { status: 200, meta: STATIC_PAGES[normalized] || DEFAULT_META };
+}
+
+// Swaps the template's <title> for `meta` and adds the description,
+// canonical and OpenGraph/Twitter tags before </head>
+export function injectMeta(html, meta, pathname) {
+  const url = `${publicUrl()}${pathname}`;
+  const tags = [
+    `<meta name="description" content="${escapeHtml(meta.description)}" />`,
+    meta.noindex ? '<meta name="robots" content="noindex" />' : `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    `<meta property="og:site_name" content="${SITE_NAME}" />`,
+    `<meta property="og:type" content="${meta.type || 'website'}" />`,
+    `<meta property="og:title" content="${escapeHtml(meta.title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(meta.description)}" />`,
+    `<meta property="og:url" content="${escapeHtml(url)}" />`,
+    ...(meta.image ? [`<meta property="og:image" content="${escapeHtml(meta.image)}" />`] : []),
+    `<meta name="twitter:card" content="${meta.image ? 'summary_large_image' : 'summary'}" />`
+  ];
+
+  return html
+    .replace(/<title>[\s\S]*?<\/title>/i, () => `<title>${escapeHtml(meta.title)}</title>`)
+    .replace(/<\/head>/i, () => `  ${tags.join('\n    ')}\n  </head>`);
+}
+
+// The built index.html only changes on deploy, so it is read once per file
+const templates = new Map();
+
+function loadTemplate(file) {
+  if (!templates.has(file)) {
+    templates.set(
+      file,
+      fs.readFile(file, 'utf8').catch(err => {
+        templates.delete(file);
+        throw err;
+      })
+    );
+  }
+  return templates.get(file);
+}
+
+// Renders `indexFile` for `pathname`; resolves to { status, html }
+export async function renderPage(indexFile, pathname) {
+  const normalized = normalizePath(pathname);
+  const [template, { status, meta }] = await Promise.all([loadTemplate(indexFile), resolvePageMeta(normalized)]);
+  return { status, html: injectMeta(template, meta, normalized) };
+}
@@ -0,0 +1,20 @@
+// lib/paginate.js
+// Runs a paged find and returns the list envelope shared by paged endpoints:
+// { items, total, page, limit, totalPages }.
+export async function paginate(Model, filter, { page, limit, sort, projection, populate }) {
+  let query = Model.find(filter, projection)
+    .sort(sort)
+    .skip((page - 1) * limit)
+    .limit(limit);
+  if (populate) query = query.populate(populate);
+
+  const [items, total] = await Promise.all([query, Model.countDocuments(filter)]);
+
+  return {
+    items,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit)
+  };
+}
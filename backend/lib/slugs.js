@@ -0,0 +1,15 @@
+// lib/slugs.js
+export const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+export const SLUG_MAX_LENGTH = 100;
+
+// Lowercase, hyphen-separated ASCII version of `text`, e.g.
+// "Café Dashboard (v2)" → "cafe-dashboard-v2"
+export function slugify(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, SLUG_MAX_LENGTH)
+    .replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,5 @@
+// lib/urls.js
+import { getConfig } from './config.js';
+
+// Absolute base URL of the site, used for links in emails and feeds
+export const publicUrl = () => getConfig().publicUrl;
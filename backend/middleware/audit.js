@@ -0,0 +1,94 @@
+// middleware/audit.js
+import AuditEvent from '../models/AuditEvent.js';
+import { logger } from '../lib/logger.js';
+
+const idsFromParams = req => (req.params.id ? [req.params.id] : []);
+const idFromResponse = body => (body?._id ? [body._id] : []);
+
+// Top-level fields that differ between two snapshots, as { field: { from, to } }
+export function diffSnapshots(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (field === '_id') continue;
+    const from = before?.[field];
+    const to = after?.[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+
+  return changes;
+}
+
+async function record({ req, action, Model, ids, createdIds, before, responseBody }) {
+  // Creates only learn their ids from the response
+  const targetIds = ids.length ? ids : createdIds(responseBody);
+  if (!targetIds.length) return;
+
+  const after = await Model.find({ _id: { $in: targetIds } }).lean();
+  const beforeById = new Map(before.map(doc => [String(doc._id), doc]));
+  const afterById = new Map(after.map(doc => [String(doc._id), doc]));
+
+  const events = targetIds
+    .map(id => {
+      const from = beforeById.get(String(id)) ?? null;
+      const to = afterById.get(String(id)) ?? null;
+      return { id, from, to, changes: diffSnapshots(from, to) };
+    })
+    // Skip ids that matched nothing and updates that changed nothing
+    .filter(({ from, to, changes }) => (from || to) && Object.keys(changes).length)
+    .map(({ id, from, to, changes }) => ({
+      actor: req.user?._id,
+      actorName: req.user?.username,
+      action,
+      targetType: Model.modelName,
+      targetId: id,
+      before: from,
+      after: to,
+      changes,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    }));
+
+  if (events.length) await AuditEvent.insertMany(events);
+}
+
+// Records an AuditEvent for each `Model` document a successful request
+// changes. `action` may be a function of the request; `targetIds` defaults
+// to the :id route param, and `createdIds` picks the ids of new documents
+// out of the response body. Auditing never delays or fails the response.
+export function audit(action, Model, { targetIds = idsFromParams, createdIds = idFromResponse } = {}) {
+  return async (req, res, next) => {
+    const ids = targetIds(req);
+    let before = [];
+
+    try {
+      if (ids.length) before = await Model.find({ _id: { $in: ids } }).lean();
+    } catch (err) {
+      logger.error('Audit snapshot failed', { requestId: req.id, action, err });
+    }
+
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = body => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+
+      record({
+        req,
+        action: typeof action === 'function' ? action(req) : action,
+        Model,
+        ids,
+        createdIds,
+        before,
+        responseBody
+      }).catch(err => logger.error('Audit log failed', { requestId: req.id, err }));
+    });
+
+    next();
+  };
+}
@@ -0,0 +1,82 @@
+// middleware/errors.js
+import { STATUS_CODES } from 'http';
+import mongoose from 'mongoose';
+import {
+  HttpError,
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  ValidationError
+} from '../lib/errors.js';
+import { logger } from '../lib/logger.js';
+
+// Express 4 does not catch rejected promises, so async handlers are wrapped
+// to pass their errors on to errorHandler
+export const asyncHandler = handler => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+// For API paths no router matched
+export function notFound(req, res, next) {
+  next(new NotFoundError(`No route for ${req.method} ${req.baseUrl}${req.path}`));
+}
+
+// Maps known library errors onto HttpErrors; anything else is a 500
+export function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(
+      Object.values(err.errors).map(fieldError => ({
+        field: fieldError.path,
+        location: 'body',
+        message: fieldError.message
+      }))
+    );
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    const expected = err.kind === 'ObjectId' ? 'id' : err.kind;
+    return new BadRequestError(`Invalid ${err.path}`, {
+      code: 'INVALID_VALUE',
+      errors: [{ field: err.path, message: `${err.path} must be a valid ${expected}` }]
+    });
+  }
+
+  if (err.code === 11000) {
+    const field = Object.keys(err.keyValue || err.keyPattern || {})[0];
+    return new ConflictError(field ? `${field} is already in use` : 'Duplicate value', { code: 'DUPLICATE' });
+  }
+
+  // body-parser, Express's own (e.g. a malformed URI) and other errors that
+  // carry a client error status. Only messages marked safe to show are kept.
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  const status = err.status ?? err.statusCode;
+  if (status >= 400 && status < 500) {
+    return new HttpError(status, err.expose ? err.message : STATUS_CODES[status]);
+  }
+
+  return new HttpError(500, 'Something went wrong');
+}
+
+// Sends every error as { message, code, requestId, errors?, ...details }.
+// Only unexpected errors are logged here; the request log covers the rest.
+// Express recognises error handlers by their four parameters.
+export function errorHandler(err, req, res, next) {
+  const error = toHttpError(err);
+
+  if (error.status >= 500) {
+    logger.error('Request failed', { requestId: req.id, method: req.method, url: req.originalUrl, err });
+  }
+  // Too late for an error response; Express closes the connection
+  if (res.headersSent) return next(err);
+
+  res.status(error.status).json({
+    message: error.message,
+    code: error.code,
+    requestId: req.id,
+    ...(error.errors && { errors: error.errors }),
+    ...error.details
+  });
+}
@@ -0,0 +1,43 @@
+// middleware/portalAuth.js
+import jwt from 'jsonwebtoken';
+import { UnauthorizedError } from '../lib/errors.js';
+import { getConfig } from '../lib/config.js';
+
+// Portal tokens are scoped to a sender email rather than a staff account,
+// and carry their own `typ` so they are never accepted as admin tokens.
+const jwtSecret = () => getConfig().auth.jwtSecret;
+const linkTokenTtl = () => getConfig().auth.portalLinkTtl;
+const sessionTokenTtl = () => getConfig().auth.portalSessionTtl;
+
+// ==========================
+// Token Helpers
+// ==========================
+export const issuePortalLinkToken = email =>
+  jwt.sign({ sub: email, typ: 'portal-link' }, jwtSecret(), { expiresIn: linkTokenTtl() });
+
+export const issuePortalSessionToken = email =>
+  jwt.sign({ sub: email, typ: 'portal' }, jwtSecret(), { expiresIn: sessionTokenTtl() });
+
+// Returns the email a portal token was issued for, or null
+export function verifyPortalToken(token, type) {
+  try {
+    const payload = jwt.verify(token, jwtSecret());
+    return payload.typ === type ? payload.sub : null;
+  } catch {
+    return null;
+  }
+}
+
+// ==========================
+// Middleware
+// ==========================
+export function requirePortalAuth(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return next(new UnauthorizedError());
+
+  const email = verifyPortalToken(token, 'portal');
+  if (!email) return next(new UnauthorizedError('Invalid or expired token'));
+
+  req.portalEmail = email;
+  next();
+}
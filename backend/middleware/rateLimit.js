@@ -0,0 +1,123 @@
+// middleware/rateLimit.js
+import RateLimitCounter from '../models/RateLimitCounter.js';
+import { TooManyRequestsError } from '../lib/errors.js';
+import { getConfig } from '../lib/config.js';
+import { logger } from '../lib/logger.js';
+
+// ==========================
+// Stores
+// ==========================
+// A store counts hits per key in fixed windows:
+//   hit(key, windowMs) => { count, resetAt }
+
+// Per-process counters; fine for a single server
+export function createMemoryStore() {
+  const windows = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { ...window };
+    }
+  };
+}
+
+// Counters in Mongo, shared by every server process
+export function createMongoStore() {
+  const increment = (key, now, windowMs) =>
+    RateLimitCounter.findOneAndUpdate(
+      { key },
+      { $inc: { count: 1 }, $setOnInsert: { resetAt: new Date(now + windowMs) } },
+      { upsert: true, new: true }
+    );
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      // The TTL monitor only runs once a minute, so expired windows are
+      // cleared here rather than left to it
+      await RateLimitCounter.deleteOne({ key, resetAt: { $lte: new Date(now) } });
+
+      let counter;
+      try {
+        counter = await increment(key, now, windowMs);
+      } catch (err) {
+        // Two first hits raced to insert the counter; the loser just retries
+        if (err.code !== 11000) throw err;
+        counter = await increment(key, now, windowMs);
+      }
+
+      return { count: counter.count, resetAt: counter.resetAt.getTime() };
+    }
+  };
+}
+
+let store;
+
+// RATE_LIMIT_STORE picks the store on first use: memory (default) or mongo
+export function getRateLimitStore() {
+  if (store) return store;
+
+  const driver = getConfig().rateLimitStore;
+  if (driver === 'memory') store = createMemoryStore();
+  else if (driver === 'mongo') store = createMongoStore();
+  else throw new Error(`Unknown RATE_LIMIT_STORE "${driver}"`);
+
+  return store;
+}
+
+// ==========================
+// Limits
+// ==========================
+// Counts one hit for `key` against a limit of `max` per `windowMs`. Returns
+// whether it went over and the seconds until the window resets. Fails open:
+// a store outage should not take the endpoint down with it.
+export async function checkLimit({ name, windowMs, max }, key) {
+  let result;
+  try {
+    result = await getRateLimitStore().hit(`${name}:${key}`, windowMs);
+  } catch (err) {
+    logger.error('Rate limit store error', { limiter: name, err });
+    return { limited: false };
+  }
+
+  return {
+    limited: result.count > max,
+    retryAfter: Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 1)
+  };
+}
+
+// ==========================
+// Middleware
+// ==========================
+// Allows `max` requests per `windowMs` for each key returned by `keyFrom`;
+// requests without a key are not limited. `onLimited` runs for every request
+// over the limit; anything it records needs a bound of its own.
+export function rateLimit({ name, windowMs, max, keyFrom, onLimited }) {
+  return async (req, res, next) => {
+    const key = keyFrom(req);
+    if (!key) return next();
+
+    const { limited, retryAfter } = await checkLimit({ name, windowMs, max }, key);
+    if (!limited) return next();
+
+    if (onLimited) await onLimited(req);
+
+    res.set('Retry-After', String(retryAfter));
+    next(new TooManyRequestsError());
+  };
+}
@@ -0,0 +1,51 @@
+// middleware/requestLog.js
+import crypto from 'crypto';
+import morgan from 'morgan';
+import { formatLog } from '../lib/logger.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Ids from an upstream proxy are kept so one id follows the request end to end
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Probes hit every few seconds, so they are only logged at debug level
+const PROBE_PATHS = ['/healthz', '/readyz'];
+
+// Gives each request an id, available as req.id, echoed in X-Request-Id
+// and included in its log lines and error responses
+export function requestId(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  next();
+}
+
+// Tokens sent in query strings (portal links, the admin event stream) are
+// kept out of the logs
+const redactTokens = url => url.replace(/([?&]token=)[^&]*/gi, '$1[redacted]');
+
+function requestLevel(req, res) {
+  if (res.statusCode >= 500) return 'error';
+  if (res.statusCode >= 400) return 'warn';
+  return PROBE_PATHS.includes(req.path) ? 'debug' : 'info';
+}
+
+// One structured line per completed request
+export const requestLogger = morgan(
+  (tokens, req, res) => {
+    const contentLength = tokens.res(req, res, 'content-length');
+    const line = formatLog(requestLevel(req, res), 'Request completed', {
+      requestId: req.id,
+      method: req.method,
+      url: redactTokens(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Number(tokens['response-time'](req, res)) || 0,
+      ...(contentLength && { contentLength: Number(contentLength) }),
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      ...(req.user && { userId: String(req.user._id) })
+    });
+    // morgan adds its own newline and skips the request when given null
+    return line && line.trimEnd();
+  }
+);
@@ -0,0 +1,45 @@
+// middleware/responseCache.js
+import crypto from 'crypto';
+
+// Weak, since compression changes the bytes on the wire
+const etagFor = body => `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+
+// Express answers 304 itself when If-None-Match matches the ETag
+function sendEntry(res, { body, etag }) {
+  res.set('ETag', etag).type('json').send(body);
+}
+
+// Serves anonymous GETs from `cache`, so repeat page views skip Mongo. Runs
+// after optionalAuth and validation: signed-in staff see unpublished work and
+// always bypass the cache, and keys are built from the validated query, so
+// unknown parameters cannot be used to fill the cache. Browsers and proxies
+// may keep the response but must revalidate it with its ETag.
+export function cachePublicResponse(cache) {
+  return (req, res, next) => {
+    res.vary('Authorization');
+    if (req.user) {
+      res.set('Cache-Control', 'private, no-cache');
+      return next();
+    }
+
+    res.set('Cache-Control', 'public, no-cache');
+    const key = `${req.baseUrl}${req.path}?${JSON.stringify(req.query)}`;
+
+    const cached = cache.get(key);
+    if (cached) return sendEntry(res, cached);
+
+    // Not stored if a write cleared the cache while this response was built
+    const generation = cache.generation();
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode !== 200) return json(body);
+
+      const text = JSON.stringify(body);
+      const entry = { body: text, etag: etagFor(text) };
+      if (cache.generation() === generation) cache.set(key, entry);
+      sendEntry(res, entry);
+      return res;
+    };
+    next();
+  };
+}
@@ -0,0 +1,157 @@
+// middleware/spamGuard.js
+import Message, { contentHash } from '../models/Message.js';
+import QuarantinedSubmission from '../models/QuarantinedSubmission.js';
+import { rateLimit, checkLimit } from './rateLimit.js';
+import { ConflictError } from '../lib/errors.js';
+import { logger } from '../lib/logger.js';
+import { createMessageSchema } from '../schemas/messages.js';
+
+// Hidden form field that people never fill in but form-filling bots do
+export const HONEYPOT_FIELD = 'website';
+// Epoch milliseconds at which the form was rendered, sent by the client
+export const STARTED_AT_FIELD = 'formStartedAt';
+
+const MIN_SUBMIT_MS = 3 * 1000;
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// ==========================
+// Quarantine
+// ==========================
+// Holds are written for requests that are already being refused, so they
+// get a budget of their own; past it, blocked requests are only refused
+const QUARANTINE_LIMIT = { name: 'quarantine-ip', windowMs: 60 * 60 * 1000, max: 10 };
+
+const HELD_FIELDS = {
+  ...createMessageSchema.body,
+  [HONEYPOT_FIELD]: { maxLength: 200 },
+  [STARTED_AT_FIELD]: {}
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Keeps what a message could use, with strings and lists cut one past their
+// limit: a value that was too long still fails validation on release, but
+// a flood cannot fill the collection
+function holdValue(value, rule) {
+  if (typeof value === 'number' || typeof value === 'boolean') return value;
+  if (typeof value === 'string') return value.slice(0, (rule.maxLength ?? 200) + 1);
+  if (Array.isArray(value) && rule.items) {
+    return value.slice(0, (rule.maxLength ?? 50) + 1).map(item => holdValue(item, rule.items));
+  }
+  if (isPlainObject(value) && rule.fields) return holdFields(value, rule.fields);
+  return undefined;
+}
+
+function holdFields(input, fields) {
+  const held = {};
+  for (const [field, rule] of Object.entries(fields)) {
+    const value = isPlainObject(input) ? holdValue(input[field], rule) : undefined;
+    if (value !== undefined) held[field] = value;
+  }
+  return held;
+}
+
+// `submission` defaults to the request as received
+export async function quarantine(req, reason, submission = req.rawSubmission || req.body) {
+  if ((await checkLimit(QUARANTINE_LIMIT, req.ip)).limited) return;
+
+  const payload = holdFields(submission, HELD_FIELDS);
+  try {
+    await QuarantinedSubmission.create({
+      reason,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      senderEmail: payload.senderEmail,
+      payload
+    });
+  } catch (err) {
+    logger.error('Quarantine save failed', { requestId: req.id, reason, err });
+  }
+}
+
+// ==========================
+// Checks
+// ==========================
+// Also applied item by item to messages replayed through /api/sync
+const CONTACT_IP_LIMIT = { name: 'contact-ip', windowMs: 10 * 60 * 1000, max: 5 };
+const CONTACT_EMAIL_LIMIT = { name: 'contact-email', windowMs: 60 * 60 * 1000, max: 3 };
+
+export const limitContactByIp = rateLimit({
+  ...CONTACT_IP_LIMIT,
+  keyFrom: req => req.ip,
+  onLimited: req => quarantine(req, 'rate-limit-ip')
+});
+
+// Runs after validation, so the email is known to be well-formed
+export const limitContactByEmail = rateLimit({
+  ...CONTACT_EMAIL_LIMIT,
+  keyFrom: req => req.body.senderEmail?.toLowerCase(),
+  onLimited: req => quarantine(req, 'rate-limit-email')
+});
+
+// The quarantine reason when a raw submission looks automated, or null
+function botReason(body) {
+  const startedAt = Number(body[STARTED_AT_FIELD]);
+  if (body[HONEYPOT_FIELD]) return 'honeypot';
+  // Older clients do not send a start time, so its absence is not held against them
+  if (startedAt && Date.now() - startedAt < MIN_SUBMIT_MS) return 'too-fast';
+  return null;
+}
+
+// Must run before validation, which strips the honeypot and timing fields.
+// The raw body is kept so later checks can quarantine it as received.
+export async function rejectBots(req, res, next) {
+  const body = req.body || {};
+  req.rawSubmission = body;
+
+  const reason = botReason(body);
+  if (!reason) return next();
+
+  await quarantine(req, reason);
+  // Bots get an ordinary-looking answer so they have nothing to adapt to
+  res.status(202).json({ message: 'Message received' });
+}
+
+// The same sender sending the same text within a day
+export const findRecentDuplicate = (email, body) =>
+  Message.findOne({
+    contentHash: contentHash(email, body),
+    timestamp: { $gte: new Date(Date.now() - DUPLICATE_WINDOW_MS) }
+  }).select('_id clientId');
+
+export async function rejectDuplicates(req, res, next) {
+  try {
+    const duplicate = await findRecentDuplicate(req.body.senderEmail, req.body.body);
+    if (!duplicate) return next();
+
+    await quarantine(req, 'duplicate');
+    next(new ConflictError('This message has already been sent'));
+  } catch (err) {
+    logger.error('Duplicate check failed', { requestId: req.id, err });
+    next();
+  }
+}
+
+// The contact form's checks for one message replayed through /api/sync:
+// `raw` is the item as sent, `values` the same item after validation. Each
+// item counts against the sender's IP and email budgets. Returns the reason
+// the item was quarantined, or null when it may be saved.
+export async function screenQueuedMessage(req, raw, values) {
+  let reason = botReason(raw);
+  if (!reason && (await checkLimit(CONTACT_IP_LIMIT, req.ip)).limited) reason = 'rate-limit-ip';
+  if (!reason && (await checkLimit(CONTACT_EMAIL_LIMIT, values.senderEmail.toLowerCase())).limited) {
+    reason = 'rate-limit-email';
+  }
+
+  if (reason) await quarantine(req, reason, raw);
+  return reason;
+}
+
+// Full chain for the public contact endpoint, with validation in the middle
+export const contactSpamGuard = validation => [
+  limitContactByIp,
+  rejectBots,
+  validation,
+  limitContactByEmail,
+  rejectDuplicates
+];
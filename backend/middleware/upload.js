@@ -0,0 +1,44 @@
+// middleware/upload.js
+import multer from 'multer';
+import { IMAGE_MIME_TYPES } from '../lib/images.js';
+import { ValidationError } from '../lib/errors.js';
+import { getConfig } from '../lib/config.js';
+
+const maxUploadBytes = () => getConfig().storage.maxUploadBytes;
+
+const formatBytes = bytes =>
+  bytes >= 1024 * 1024
+    ? `${Number((bytes / 1024 / 1024).toFixed(1))} MB`
+    : `${Math.ceil(bytes / 1024)} KB`;
+
+// Accepts a single image in multipart field `field` and keeps it in memory
+// as `req.file` for processing. Failures are reported as validation errors.
+export function uploadImage(field) {
+  return (req, res, next) => {
+    const maxBytes = maxUploadBytes();
+    const fail = message => next(new ValidationError([{ field, location: 'body', message }]));
+
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxBytes, files: 1 },
+      fileFilter: (req, file, cb) => {
+        if (IMAGE_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+        const err = new Error(`${field} must be one of: ${IMAGE_MIME_TYPES.join(', ')}`);
+        err.code = 'UNSUPPORTED_MIME_TYPE';
+        cb(err);
+      }
+    }).single(field);
+
+    upload(req, res, err => {
+      if (err?.code === 'LIMIT_FILE_SIZE') {
+        return fail(`${field} must be at most ${formatBytes(maxBytes)}`);
+      }
+      if (err?.code === 'UNSUPPORTED_MIME_TYPE' || err instanceof multer.MulterError) {
+        return fail(err.message);
+      }
+      if (err) return next(err);
+      if (!req.file) return fail(`${field} is required`);
+      next();
+    });
+  };
+}
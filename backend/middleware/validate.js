@@ -0,0 +1,166 @@
+// middleware/validate.js
+import mongoose from 'mongoose';
+import { ValidationError } from '../lib/errors.js';
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const INVALID = Symbol('invalid');
+const SOURCES = ['params', 'query', 'body'];
+
+// ==========================
+// Type Coercion
+// ==========================
+// Query strings and form posts arrive as strings, so numbers, booleans and
+// dates are coerced before the range checks run.
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const coercers = {
+  string: (value, rule) => {
+    if (typeof value !== 'string') return INVALID;
+    return rule.trim === false ? value : value.trim();
+  },
+  number: value => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : INVALID;
+  },
+  integer: value => {
+    const number = coercers.number(value);
+    return Number.isInteger(number) ? number : INVALID;
+  },
+  boolean: value => {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return INVALID;
+  },
+  date: value => {
+    if (typeof value !== 'string' && typeof value !== 'number') return INVALID;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? INVALID : date;
+  },
+  objectId: value =>
+    typeof value === 'string' && mongoose.isValidObjectId(value) ? value : INVALID,
+  array: value => (Array.isArray(value) ? value : INVALID),
+  object: value => (isPlainObject(value) ? value : INVALID)
+};
+
+// ==========================
+// Field Checks
+// ==========================
+const isEmpty = value => value === undefined || value === null || value === '';
+
+// Returns { value } or { error } for a single field. Strings are trimmed
+// unless the rule sets `trim: false`; objects with `fields` and arrays with
+// `items` are checked recursively.
+function checkField(rule, raw) {
+  if (isEmpty(raw)) {
+    if (rule.required) return { error: 'is required' };
+    return { value: rule.default };
+  }
+
+  const value = coercers[rule.type](raw, rule);
+  if (value === INVALID) {
+    return { error: `must be a valid ${rule.type === 'objectId' ? 'id' : rule.type}` };
+  }
+  if (rule.required && isEmpty(value)) return { error: 'is required' };
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { error: `must be one of: ${rule.enum.join(', ')}` };
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return { error: `must be at least ${rule.min}` };
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return { error: `must be at most ${rule.max}` };
+  }
+  const unit = Array.isArray(value) ? 'items' : 'characters long';
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return { error: `must be at least ${rule.minLength} ${unit}` };
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return { error: `must be at most ${rule.maxLength} ${unit}` };
+  }
+  if (rule.format === 'email' && !EMAIL_PATTERN.test(value)) {
+    return { error: 'must be a valid email address' };
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return { error: 'has an invalid format' };
+  }
+
+  if (rule.fields) {
+    const nested = checkFields(rule.fields, value, null, false);
+    if (nested.errors.length) return { error: nested.errors[0].message };
+    return { value: nested.values };
+  }
+
+  if (rule.items && Array.isArray(value)) {
+    const items = [];
+    for (const [index, item] of value.entries()) {
+      const result = checkField({ required: true, ...rule.items }, item);
+      if (result.error) return { error: `item ${index} ${result.error}` };
+      items.push(result.value);
+    }
+    return { value: items };
+  }
+
+  return { value };
+}
+
+// Checks `input` against a map of field rules. Unknown fields are dropped,
+// or reported when `rejectUnknown` is set.
+function checkFields(fields, input, location, rejectUnknown) {
+  const values = {};
+  const errors = [];
+  const source = isPlainObject(input) ? input : {};
+
+  for (const [field, rule] of Object.entries(fields)) {
+    const { value, error } = checkField(rule, source[field]);
+    if (error) errors.push({ field, location, message: `${field} ${error}` });
+    else if (value !== undefined) values[field] = value;
+  }
+
+  if (rejectUnknown) {
+    for (const field of Object.keys(source)) {
+      if (!(field in fields)) {
+        errors.push({ field, location, message: `${field} is not allowed` });
+      }
+    }
+  }
+
+  return { values, errors };
+}
+
+// Checks one record outside a request, such as a row of an import, as if it
+// were a request body. Returns { values, errors }.
+export const validateFields = (fields, input) => checkFields(fields, input, 'body', false);
+
+// ==========================
+// Middleware
+// ==========================
+// `schema` declares field rules per request part, e.g.
+//   { params: { id: { type: 'objectId', required: true } },
+//     body: { status: { type: 'string', enum: [...] } },
+//     rejectUnknown: true }
+// Validated query and body values replace the originals, so handlers only
+// ever see whitelisted, coerced fields.
+export function validate(schema) {
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const location of SOURCES) {
+      if (!schema[location]) continue;
+
+      const result = checkFields(
+        schema[location],
+        req[location],
+        location,
+        location === 'body' && schema.rejectUnknown
+      );
+      errors.push(...result.errors);
+      if (location !== 'params') req[location] = result.values;
+    }
+
+    next(errors.length ? new ValidationError(errors) : undefined);
+  };
+}
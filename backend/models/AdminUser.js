@@ -0,0 +1,72 @@
+// models/AdminUser.js
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import { EMAIL_PATTERN } from '../middleware/validate.js';
+
+const SALT_ROUNDS = 12;
+
+export const ROLES = ['owner', 'editor', 'support'];
+
+const AdminUserSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true
+    },
+    name: { type: String, trim: true },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [EMAIL_PATTERN, 'Please provide a valid email address']
+    },
+    passwordHash: { type: String, required: true },
+    role: { type: String, enum: ROLES, default: 'support' },
+    active: { type: Boolean, default: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+    // Bumped on logout or deactivation so every outstanding token for the user stops working
+    tokenVersion: { type: Number, default: 0 },
+    lastLoginAt: Date,
+    createdAt: { type: Date, default: Date.now }
+  },
+  { versionKey: false }
+);
+
+AdminUserSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+AdminUserSchema.methods.verifyPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Hashed on first use, so loading the model does not pay for it
+let dummyHash;
+
+// Returns the user when the password matches, otherwise null. An unknown
+// username is still checked against a dummy hash, so response times do not
+// reveal which usernames exist.
+AdminUserSchema.statics.authenticate = async function (username, password) {
+  const user = await this.findOne({ username: username.toLowerCase() });
+  if (!user) {
+    dummyHash ??= bcrypt.hash('not-a-real-password', SALT_ROUNDS);
+    await bcrypt.compare(password, await dummyHash);
+    return null;
+  }
+  return (await user.verifyPassword(password)) ? user : null;
+};
+
+AdminUserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.tokenVersion;
+    return ret;
+  }
+});
+
+const AdminUser = mongoose.model('AdminUser', AdminUserSchema);
+
+export default AdminUser;
@@ -0,0 +1,27 @@
+// models/AnalyticsEvent.js
+import mongoose from 'mongoose';
+import { EVENT_TYPES } from '../schemas/analytics.js';
+
+// Raw events are only needed for the reports, which look back a year at most
+const RETENTION_SECONDS = 400 * 24 * 60 * 60;
+
+// One record per project view or cart addition on the public site
+const AnalyticsEventSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: EVENT_TYPES, required: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    plan: String,
+    sessionId: String,
+    path: String,
+    timestamp: { type: Date, default: Date.now }
+  },
+  { versionKey: false }
+);
+
+// Covers the per-project counts, so reports never touch the documents
+AnalyticsEventSchema.index({ type: 1, timestamp: -1, project: 1 });
+AnalyticsEventSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+const AnalyticsEvent = mongoose.model('AnalyticsEvent', AnalyticsEventSchema);
+
+export default AnalyticsEvent;
@@ -0,0 +1,32 @@
+// models/AuditEvent.js
+import mongoose from 'mongoose';
+import { AUDIT_TARGET_TYPES } from '../schemas/audit.js';
+
+// One record per document changed by an admin request
+const AuditEventSchema = new mongoose.Schema(
+  {
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+    actorName: String,
+    action: { type: String, required: true },
+    targetType: { type: String, enum: AUDIT_TARGET_TYPES, required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // Full documents before and after the change; null when created or deleted
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    // Top-level fields that changed, as { field: { from, to } }
+    changes: mongoose.Schema.Types.Mixed,
+    ip: String,
+    userAgent: String,
+    timestamp: { type: Date, default: Date.now }
+  },
+  { versionKey: false }
+);
+
+AuditEventSchema.index({ timestamp: -1 });
+AuditEventSchema.index({ targetType: 1, targetId: 1, timestamp: -1 });
+AuditEventSchema.index({ actor: 1, timestamp: -1 });
+AuditEventSchema.index({ action: 1, timestamp: -1 });
+
+const AuditEvent = mongoose.model('AuditEvent', AuditEventSchema);
+
+export default AuditEvent;
@@ -0,0 +1,34 @@
+// models/EmailJob.js
+import mongoose from 'mongoose';
+
+export const EMAIL_JOB_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Outgoing email, rendered up front and kept until delivered so a mail
+// server outage only delays notifications instead of losing them.
+const EmailJobSchema = new mongoose.Schema(
+  {
+    template: { type: String, required: true },
+    to: { type: String, required: true },
+    subject: { type: String, required: true },
+    html: String,
+    text: String,
+    status: {
+      type: String,
+      enum: EMAIL_JOB_STATUSES,
+      default: 'pending'
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: Date,
+    lastError: String,
+    sentAt: Date,
+    createdAt: { type: Date, default: Date.now }
+  },
+  { versionKey: false }
+);
+
+EmailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const EmailJob = mongoose.model('EmailJob', EmailJobSchema);
+
+export default EmailJob;
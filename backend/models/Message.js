@@ -0,0 +1,118 @@
+// models/Message.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { EMAIL_PATTERN } from '../middleware/validate.js';
+import { liveEventsPlugin } from '../lib/liveEvents.js';
+import { MESSAGE_STATUSES, HISTORY_SENDERS } from '../schemas/messages.js';
+
+const AttachmentSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    name: String,
+    contentType: String,
+    size: Number
+  },
+  { _id: false }
+);
+
+// One entry per message in the conversation, starting with the enquiry itself
+const HistoryEntrySchema = new mongoose.Schema({
+  sender: { type: String, enum: HISTORY_SENDERS, required: true },
+  // Staff member who wrote an admin reply
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+  authorName: String,
+  text: { type: String, required: true },
+  timestamp: { type: Date, default: Date.now },
+  attachments: [AttachmentSchema]
+});
+
+const MessageSchema = new mongoose.Schema(
+  {
+    senderName: String,
+    senderEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [EMAIL_PATTERN, 'Please provide a valid email address']
+    },
+    senderPhone: String,
+    senderAddress: String,
+    subject: String,
+    plan: String,
+    // Cart contents at the time of the enquiry: plans and catalogue projects
+    items: [
+      {
+        _id: false,
+        id: String,
+        title: String,
+        type: { type: String }
+      }
+    ],
+    body: String,
+    timestamp: { type: Date, default: Date.now },
+    status: {
+      type: String,
+      enum: MESSAGE_STATUSES,
+      default: 'unread'
+    },
+    resolvedAt: Date,
+    // Archived messages are hidden from the inbox but kept
+    archivedAt: Date,
+    type: { type: String, default: 'portal' },
+    history: [HistoryEntrySchema],
+    // Fingerprint of sender and body, used to spot resubmitted enquiries
+    contentHash: { type: String, select: false },
+    // Id the client generated while offline, so replays through /api/sync
+    // never create a second copy
+    clientId: String
+  },
+  { versionKey: false }
+);
+
+MessageSchema.index({ contentHash: 1, timestamp: -1 });
+MessageSchema.index({ clientId: 1 }, { unique: true, sparse: true });
+MessageSchema.index({ archivedAt: 1, status: 1, timestamp: -1 });
+// For the analytics reports, which filter by date alone
+MessageSchema.index({ timestamp: -1 });
+MessageSchema.index({ resolvedAt: -1 }, { sparse: true });
+MessageSchema.index(
+  { senderName: 'text', senderEmail: 'text', subject: 'text', body: 'text' },
+  { weights: { subject: 3, senderName: 2, senderEmail: 2, body: 1 } }
+);
+
+MessageSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.contentHash;
+    return ret;
+  }
+});
+
+// Same sender and same text, ignoring case and whitespace
+export const contentHash = (email, body) =>
+  crypto
+    .createHash('sha256')
+    .update(`${String(email).toLowerCase()}\n${String(body).replace(/\s+/g, ' ').trim().toLowerCase()}`)
+    .digest('hex');
+
+// Saves a new enquiry, opening its thread with the client's message
+MessageSchema.statics.createEnquiry = function (fields) {
+  return this.create({
+    ...fields,
+    history: [{ sender: 'client', text: fields.body }],
+    contentHash: contentHash(fields.senderEmail, fields.body)
+  });
+};
+
+// Update document for a status change. Keeps resolvedAt in step with the
+// status so resolution times can be measured.
+export const statusUpdate = status =>
+  status === 'resolved'
+    ? { $set: { status, resolvedAt: new Date() } }
+    : { $set: { status }, $unset: { resolvedAt: 1 } };
+
+// New enquiries, replies and status changes are streamed to staff
+MessageSchema.plugin(liveEventsPlugin, { modelName: 'Message' });
+
+const Message = mongoose.model('Message', MessageSchema);
+
+export default Message;
@@ -0,0 +1,110 @@
+// models/Order.js
+import mongoose from 'mongoose';
+import { EMAIL_PATTERN } from '../middleware/validate.js';
+import { ORDER_STATUSES } from '../schemas/orders.js';
+
+// List prices of the pricing plans on the site, used as the starting point
+// when an enquiry is turned into a quote
+export const PLAN_PRICES = {
+  'Starter Plan': 6999,
+  'Growth Plan': 14999,
+  'Professional Plan': 24999,
+  'Enterprise ERP': 99999
+};
+
+// Which statuses an order may move to from each status
+export const ORDER_TRANSITIONS = {
+  requested: ['quoted', 'cancelled'],
+  quoted: ['requested', 'accepted', 'cancelled'],
+  accepted: ['in-progress', 'cancelled'],
+  'in-progress': ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+// Line items and prices can only change until the client accepts the quote
+export const EDITABLE_STATUSES = ['requested', 'quoted'];
+
+// Orders the client has accepted, whether or not the work is finished
+export const WON_STATUSES = ['accepted', 'in-progress', 'delivered'];
+
+const LineItemSchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+  description: { type: String, required: true },
+  quantity: { type: Number, min: 1, default: 1 },
+  unitPrice: { type: Number, min: 0, required: true },
+  amount: Number
+});
+
+const StatusChangeSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ORDER_STATUSES, required: true },
+    note: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+    at: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const OrderSchema = new mongoose.Schema(
+  {
+    // Enquiry the order was created from, if any
+    message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+    customer: {
+      name: { type: String, required: true },
+      email: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        match: [EMAIL_PATTERN, 'Please provide a valid email address']
+      },
+      phone: String,
+      address: String
+    },
+    plan: String,
+    items: [LineItemSchema],
+    currency: { type: String, default: 'INR' },
+    subtotal: { type: Number, default: 0 },
+    discount: { type: Number, min: 0, default: 0 },
+    total: { type: Number, default: 0 },
+    notes: String,
+    validUntil: Date,
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      default: 'requested'
+    },
+    statusHistory: [StatusChangeSchema],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+  },
+  { versionKey: false }
+);
+
+OrderSchema.index({ message: 1 }, { unique: true, sparse: true });
+OrderSchema.index({ status: 1, createdAt: -1 });
+
+// Totals are always derived from the line items, never taken from the client
+OrderSchema.pre('validate', function () {
+  for (const item of this.items) {
+    item.amount = item.quantity * item.unitPrice;
+  }
+  this.subtotal = this.items.reduce((sum, item) => sum + item.amount, 0);
+  this.total = Math.max(this.subtotal - this.discount, 0);
+  this.updatedAt = new Date();
+});
+
+OrderSchema.methods.canTransitionTo = function (status) {
+  return ORDER_TRANSITIONS[this.status].includes(status);
+};
+
+OrderSchema.methods.transitionTo = function (status, user, note) {
+  this.status = status;
+  this.statusHistory.push({ status, note, by: user?._id });
+};
+
+const Order = mongoose.model('Order', OrderSchema);
+
+export default Order;
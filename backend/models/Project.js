@@ -0,0 +1,126 @@
+// models/Project.js
+import mongoose from 'mongoose';
+import { PROJECT_TYPES, PROJECT_STATUSES } from '../schemas/projects.js';
+import { slugify, SLUG_PATTERN } from '../lib/slugs.js';
+import { liveEventsPlugin } from '../lib/liveEvents.js';
+
+const ProjectSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    // Public URL segment for /works/:slug. Generated from the title when a
+    // project is first saved and left alone afterwards so links keep working.
+    slug: { type: String, trim: true, lowercase: true, match: SLUG_PATTERN },
+    category: String,
+    // Public URLs only; the files themselves live in the storage backend
+    image: String,
+    imageVariants: {
+      webp: String,
+      thumbnail: String,
+      thumbnailWebp: String
+    },
+    type: {
+      type: String,
+      enum: PROJECT_TYPES,
+      default: 'Template'
+    },
+    language: String,
+    rating: { type: Number, min: 0, max: 5 },
+    description: { type: String, required: true },
+    // Overrides for search results and link previews; each falls back to
+    // the title, description and image
+    seo: {
+      title: { type: String, trim: true },
+      description: { type: String, trim: true },
+      image: String
+    },
+    // Projects saved before drafts existed have no status and count as
+    // published, so that is the default here; new projects are created as
+    // drafts by the API.
+    status: {
+      type: String,
+      enum: PROJECT_STATUSES,
+      default: 'published'
+    },
+    // Optional schedule for a published project to go live and come down
+    publishAt: Date,
+    unpublishAt: Date,
+    // Set while the project is in the trash
+    deletedAt: Date,
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+    // Id the admin panel generated for a project queued while offline
+    clientId: String,
+    createdAt: { type: Date, default: Date.now }
+  },
+  { versionKey: false }
+);
+
+ProjectSchema.index({ title: 'text', description: 'text' }, { weights: { title: 3, description: 1 } });
+ProjectSchema.index({ category: 1, createdAt: -1 });
+ProjectSchema.index({ type: 1, createdAt: -1 });
+ProjectSchema.index({ rating: -1, createdAt: -1 });
+ProjectSchema.index({ deletedAt: 1, status: 1, createdAt: -1 });
+// Sparse so projects saved before slugs existed do not collide on null
+ProjectSchema.index({ slug: 1 }, { unique: true, sparse: true });
+ProjectSchema.index({ clientId: 1 }, { unique: true, sparse: true });
+
+// Picks a free slug for new projects, adding -2, -3… when the title is taken
+ProjectSchema.pre('validate', async function () {
+  if (this.slug || !this.title) return;
+  this.slug = await this.constructor.uniqueSlug(this.title, this._id);
+});
+
+// `reserved` holds slugs claimed but not saved yet, such as earlier rows of
+// an import
+ProjectSchema.statics.uniqueSlug = async function (title, excludeId, reserved = new Set()) {
+  const base = slugify(title) || 'project';
+  for (let suffix = 1; ; suffix += 1) {
+    const candidate = suffix === 1 ? base : `${base}-${suffix}`;
+    if (reserved.has(candidate)) continue;
+    if (!(await this.exists({ slug: candidate, _id: { $ne: excludeId } }))) return candidate;
+  }
+};
+
+// Slugs are unique across all projects, trashed ones included, so a restored
+// project gets its old URL back
+export const slugTaken = (slug, excludeId) => Project.exists({ slug, _id: { $ne: excludeId } });
+export const SLUG_TAKEN = 'Slug is already used by another project';
+
+// Matches stored status values, counting a missing status as published
+export const statusFilter = status => (status === 'published' ? { $in: ['published', null] } : status);
+
+// Projects the public can see at `now`: published, inside any schedule
+// window and not in the trash
+ProjectSchema.statics.liveFilter = function (now = new Date()) {
+  return {
+    deletedAt: null,
+    status: statusFilter('published'),
+    $and: [
+      { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+      { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+    ]
+  };
+};
+
+// Caches of rendered project data (sitemap, feeds) register here and are
+// told about every write made through the model
+const changeListeners = new Set();
+
+export const onProjectsChanged = listener => changeListeners.add(listener);
+
+function notifyChanged() {
+  for (const listener of changeListeners) listener();
+}
+
+ProjectSchema.post('save', notifyChanged);
+ProjectSchema.post('insertMany', notifyChanged);
+ProjectSchema.post(
+  ['findOneAndUpdate', 'findOneAndDelete', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany'],
+  notifyChanged
+);
+
+// Creates, edits and deletions are streamed to staff
+ProjectSchema.plugin(liveEventsPlugin, { modelName: 'Project' });
+
+const Project = mongoose.model('Project', ProjectSchema);
+
+export default Project;
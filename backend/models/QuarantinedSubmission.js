@@ -0,0 +1,36 @@
+// models/QuarantinedSubmission.js
+import mongoose from 'mongoose';
+import { QUARANTINE_REASONS, QUARANTINE_STATUSES } from '../schemas/quarantine.js';
+
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// A contact form submission the spam checks blocked, kept for staff to
+// review and release if it turns out to be genuine
+const QuarantinedSubmissionSchema = new mongoose.Schema(
+  {
+    reason: { type: String, enum: QUARANTINE_REASONS, required: true },
+    ip: String,
+    userAgent: String,
+    senderEmail: String,
+    // The submission's message fields as received, before validation, with
+    // long values cut short
+    payload: mongoose.Schema.Types.Mixed,
+    status: {
+      type: String,
+      enum: QUARANTINE_STATUSES,
+      default: 'pending'
+    },
+    // Message created when the submission was released
+    message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+    reviewedAt: Date,
+    createdAt: { type: Date, default: Date.now, expires: RETENTION_SECONDS }
+  },
+  { versionKey: false }
+);
+
+QuarantinedSubmissionSchema.index({ status: 1, createdAt: -1 });
+
+const QuarantinedSubmission = mongoose.model('QuarantinedSubmission', QuarantinedSubmissionSchema);
+
+export default QuarantinedSubmission;
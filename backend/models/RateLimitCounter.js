@@ -0,0 +1,19 @@
+// models/RateLimitCounter.js
+import mongoose from 'mongoose';
+
+// One counter per limiter key and window, shared by every server process
+const RateLimitCounterSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    count: { type: Number, default: 0 },
+    resetAt: { type: Date, required: true }
+  },
+  { versionKey: false }
+);
+
+// Let Mongo drop counters once their window has passed
+RateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
+
+export default RateLimitCounter;
@@ -0,0 +1,47 @@
+// notifications/index.js
+import AdminUser from '../models/AdminUser.js';
+import { hasPermission } from '../middleware/auth.js';
+import { publicUrl } from '../lib/urls.js';
+import { getConfig } from '../lib/config.js';
+import { logger } from '../lib/logger.js';
+import { enqueueEmail } from './queue.js';
+
+export { startEmailWorker, stopEmailWorker } from './queue.js';
+
+// STAFF_NOTIFY_EMAILS overrides the default of every active staff member
+// who can read the inbox.
+async function staffRecipients() {
+  const { staffNotifyEmails } = getConfig().mail;
+  if (staffNotifyEmails) return staffNotifyEmails;
+
+  const users = await AdminUser.find({ active: true, email: { $nin: [null, ''] } }).select('email role');
+  return users.filter(user => hasPermission(user, 'messages:read')).map(user => user.email);
+}
+
+// Notifications run after the response is decided, so a mail problem is
+// logged rather than failing the request that triggered it.
+const safely = (label, send) =>
+  send().catch(err => logger.error('Notification failed', { notification: label, err }));
+
+export const notifyNewMessage = message =>
+  safely('New message', async () => {
+    await enqueueEmail('messageReceived', message.senderEmail, { message });
+
+    const recipients = await staffRecipients();
+    await Promise.all(
+      recipients.map(to =>
+        enqueueEmail('newMessageAlert', to, { message, adminUrl: `${publicUrl()}/admin` })
+      )
+    );
+  });
+
+export const notifyStaffReply = (message, reply) =>
+  safely('Staff reply', () =>
+    enqueueEmail('staffReply', message.senderEmail, {
+      message,
+      reply,
+      portalUrl: `${publicUrl()}/portal`
+    })
+  );
+
+export const sendPortalLink = (email, link) => enqueueEmail('portalMagicLink', email, { link });
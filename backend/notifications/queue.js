@@ -0,0 +1,133 @@
+// notifications/queue.js
+import EmailJob from '../models/EmailJob.js';
+import * as templates from './templates.js';
+import { getTransport } from './transport.js';
+import { logger } from '../lib/logger.js';
+import { getConfig } from '../lib/config.js';
+
+const MAX_ATTEMPTS = 5;
+// Retries back off exponentially: 1, 2, 4 then 8 minutes
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+// A job left in "sending" this long belongs to a process that died mid-send
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+const mailFrom = () => getConfig().mail.from;
+
+// ==========================
+// Enqueue
+// ==========================
+export async function enqueueEmail(template, to, data) {
+  const render = templates[template];
+  if (!render) throw new Error(`Unknown email template "${template}"`);
+
+  const job = await EmailJob.create({ template, to, ...render(data) });
+
+  // Send straight away; anything that fails stays queued for the worker
+  processEmailQueue().catch(err => logger.error('Email queue failed', { err }));
+
+  return job;
+}
+
+// ==========================
+// Delivery
+// ==========================
+// Claims one due job atomically so several server processes can share the queue
+function claimNextJob() {
+  const now = new Date();
+
+  return EmailJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function deliver(job) {
+  try {
+    await getTransport().sendMail({
+      from: mailFrom(),
+      to: job.to,
+      subject: job.subject,
+      text: job.text,
+      html: job.html
+    });
+
+    await EmailJob.updateOne(
+      { _id: job._id },
+      { $set: { status: 'sent', sentAt: new Date() }, $unset: { lockedAt: 1, lastError: 1 } }
+    );
+  } catch (err) {
+    const failed = job.attempts >= MAX_ATTEMPTS;
+
+    await EmailJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: failed ? 'failed' : 'pending',
+          lastError: err.message,
+          nextAttemptAt: new Date(Date.now() + BASE_RETRY_DELAY_MS * 2 ** (job.attempts - 1))
+        },
+        $unset: { lockedAt: 1 }
+      }
+    );
+
+    if (failed) {
+      logger.error('Email failed', { jobId: String(job._id), to: job.to, attempts: job.attempts, err });
+    }
+  }
+}
+
+let running = null;
+let rerun = false;
+
+// Sends every due job. Calls made while a run is in progress are folded
+// into it, so jobs queued mid-run are never left waiting for the next tick.
+export function processEmailQueue() {
+  if (running) {
+    rerun = true;
+    return running;
+  }
+
+  running = (async () => {
+    do {
+      rerun = false;
+      let job;
+      while ((job = await claimNextJob())) {
+        await deliver(job);
+      }
+    } while (rerun);
+  })().finally(() => {
+    running = null;
+  });
+
+  return running;
+}
+
+// ==========================
+// Worker
+// ==========================
+let timer = null;
+
+export function startEmailWorker(intervalMs = DEFAULT_INTERVAL_MS) {
+  if (timer) return;
+
+  const tick = () =>
+    processEmailQueue().catch(err => logger.error('Email queue failed', { err }));
+
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+}
+
+// Stops polling; resolves once any batch already being sent has finished
+export function stopEmailWorker() {
+  clearInterval(timer);
+  timer = null;
+  return running || Promise.resolve();
+}
@@ -0,0 +1,129 @@
+// notifications/templates.js
+// Each template takes its data and returns { subject, text, html }.
+import { escapeHtml } from '../lib/html.js';
+
+const BRAND = 'Nexverra';
+
+// Escapes and keeps line breaks from plain-text fields
+const paragraph = value => escapeHtml(value).replace(/\r?\n/g, '<br>');
+
+function layout(title, bodyHtml) {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <body style="margin:0;padding:24px;background:#0f0f0f;font-family:Arial,sans-serif;color:#ffffff;">
+    <div style="max-width:560px;margin:0 auto;background:#1a1a1a;border-radius:12px;padding:32px;">
+      <h1 style="margin:0 0 24px;font-size:20px;color:#CCF381;">${escapeHtml(title)}</h1>
+      ${bodyHtml}
+      <p style="margin:32px 0 0;font-size:12px;color:#888888;">${BRAND} — Creative Digital Agency</p>
+    </div>
+  </body>
+</html>`;
+}
+
+const quote = value =>
+  `<blockquote style="margin:16px 0;padding:12px 16px;border-left:3px solid #CCF381;color:#cccccc;">${paragraph(value)}</blockquote>`;
+
+const button = (href, label) =>
+  `<p><a href="${escapeHtml(href)}" style="display:inline-block;padding:12px 20px;border-radius:999px;background:#CCF381;color:#0f0f0f;text-decoration:none;font-weight:bold;">${escapeHtml(label)}</a></p>`;
+
+// ==========================
+// Client Emails
+// ==========================
+export function messageReceived({ message }) {
+  const subject = `We received your message${message.subject ? `: ${message.subject}` : ''}`;
+  const text = [
+    `Hi ${message.senderName || 'there'},`,
+    '',
+    `Thanks for getting in touch with ${BRAND}. Our team will reply shortly.`,
+    '',
+    'Your message:',
+    message.body
+  ].join('\n');
+
+  const html = layout(
+    'Thanks for getting in touch',
+    `<p>Hi ${escapeHtml(message.senderName || 'there')},</p>
+      <p>Thanks for getting in touch with ${BRAND}. Our team will reply shortly.</p>
+      ${quote(message.body)}`
+  );
+
+  return { subject, text, html };
+}
+
+export function staffReply({ message, reply, portalUrl }) {
+  const subject = `New reply from ${BRAND}${message.subject ? `: ${message.subject}` : ''}`;
+  const text = [
+    `Hi ${message.senderName || 'there'},`,
+    '',
+    `${reply.authorName || 'Our team'} replied to your message:`,
+    '',
+    reply.text,
+    '',
+    `View the conversation and reply: ${portalUrl}`
+  ].join('\n');
+
+  const html = layout(
+    'You have a new reply',
+    `<p>Hi ${escapeHtml(message.senderName || 'there')},</p>
+      <p>${escapeHtml(reply.authorName || 'Our team')} replied to your message:</p>
+      ${quote(reply.text)}
+      ${button(portalUrl, 'View conversation')}`
+  );
+
+  return { subject, text, html };
+}
+
+export function portalMagicLink({ link }) {
+  const subject = `Your ${BRAND} sign-in link`;
+  const text = [
+    'Use this link to view your messages and replies. It expires shortly and only works for you.',
+    '',
+    link,
+    '',
+    'If you did not ask for this, you can ignore this email.'
+  ].join('\n');
+
+  const html = layout(
+    'Sign in to your messages',
+    `<p>Use this link to view your messages and replies. It expires shortly and only works for you.</p>
+      ${button(link, 'View my messages')}
+      <p style="font-size:12px;color:#888888;">If you did not ask for this, you can ignore this email.</p>`
+  );
+
+  return { subject, text, html };
+}
+
+// ==========================
+// Staff Emails
+// ==========================
+export function newMessageAlert({ message, adminUrl }) {
+  const subject = `New enquiry from ${message.senderName || message.senderEmail}`;
+  const details = [
+    ['Name', message.senderName],
+    ['Email', message.senderEmail],
+    ['Phone', message.senderPhone],
+    ['Subject', message.subject],
+    ['Plan', message.plan]
+  ].filter(([, value]) => value);
+
+  const text = [
+    ...details.map(([label, value]) => `${label}: ${value}`),
+    '',
+    message.body,
+    '',
+    `Open the inbox: ${adminUrl}`
+  ].join('\n');
+
+  const html = layout(
+    'New enquiry',
+    `<table style="border-collapse:collapse;color:#cccccc;">
+        ${details
+          .map(([label, value]) => `<tr><td style="padding:4px 16px 4px 0;color:#888888;">${label}</td><td>${escapeHtml(value)}</td></tr>`)
+          .join('\n        ')}
+      </table>
+      ${quote(message.body)}
+      ${button(adminUrl, 'Open inbox')}`
+  );
+
+  return { subject, text, html };
+}
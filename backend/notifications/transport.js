@@ -0,0 +1,34 @@
+// notifications/transport.js
+import nodemailer from 'nodemailer';
+import { getConfig } from '../lib/config.js';
+
+let transport;
+
+// MAIL_TRANSPORT picks the backend:
+//   smtp (default) - any SMTP server, e.g. MailHog on localhost:1025 in dev
+//   json           - renders messages without sending them, for tests
+export function getTransport() {
+  if (transport) return transport;
+
+  const { transport: driver, smtp } = getConfig().mail;
+
+  if (driver === 'smtp') {
+    transport = nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+    });
+  } else if (driver === 'json') {
+    transport = nodemailer.createTransport({ jsonTransport: true });
+  } else {
+    throw new Error(`Unknown MAIL_TRANSPORT "${driver}"`);
+  }
+
+  return transport;
+}
+
+// Lets tests swap in their own nodemailer-compatible transport
+export function setTransport(customTransport) {
+  transport = customTransport;
+}
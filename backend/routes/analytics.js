@@ -0,0 +1,266 @@
+// routes/analytics.js
+// Dashboard reports, aggregated live from messages, orders and the events
+// sent to /api/events. Each one runs over an indexed date range.
+import express from 'express';
+import mongoose from 'mongoose';
+import AnalyticsEvent from '../models/AnalyticsEvent.js';
+import Message from '../models/Message.js';
+import Order, { WON_STATUSES } from '../models/Order.js';
+import Project from '../models/Project.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { ValidationError } from '../lib/errors.js';
+import {
+  EVENT_TYPES,
+  analyticsRangeSchema,
+  enquiryTrendSchema,
+  topProjectsSchema
+} from '../schemas/analytics.js';
+
+const router = express.Router();
+
+router.use(requirePermission('analytics:read'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// ==========================
+// Helpers
+// ==========================
+// Fills in the default range and checks the one given
+function resolveRange({ from, to }) {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  const invalid = message => new ValidationError([{ field: 'from', location: 'query', message }]);
+  if (start > end) throw invalid('from must be before to');
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) throw invalid(`range must be at most ${MAX_RANGE_DAYS} days`);
+
+  return { from: start, to: end };
+}
+
+const between = ({ from, to }) => ({ $gte: from, $lte: to });
+
+// Aggregation pipelines do not cast, so ids given as strings are converted
+const projectIn = ids => (ids ? { $in: ids.map(id => new mongoose.Types.ObjectId(id)) } : { $ne: null });
+
+const ratio = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 10000 : 0);
+
+// Start of the UTC day or ISO week (Monday) containing `date`, matching
+// $dateTrunc below
+function periodStart(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+}
+
+// Per-project event counts in the range, as a Map of id => count
+async function eventCounts(type, range, { ids, limit } = {}) {
+  const pipeline = [
+    { $match: { type, timestamp: between(range), project: projectIn(ids) } },
+    { $group: { _id: '$project', count: { $sum: 1 } } },
+    ...(limit ? [{ $sort: { count: -1, _id: 1 } }, { $limit: limit }] : [])
+  ];
+  const groups = await AnalyticsEvent.aggregate(pipeline);
+  return new Map(groups.map(({ _id, count }) => [String(_id), count]));
+}
+
+// Number of orders each project appears in, leaving out cancelled ones
+async function orderCounts(range, { ids, limit } = {}) {
+  const groups = await Order.aggregate([
+    { $match: { createdAt: between(range), status: { $ne: 'cancelled' } } },
+    { $unwind: '$items' },
+    { $match: { 'items.project': projectIn(ids) } },
+    { $group: { _id: '$items.project', orders: { $addToSet: '$_id' } } },
+    { $project: { count: { $size: '$orders' } } },
+    ...(limit ? [{ $sort: { count: -1, _id: 1 } }, { $limit: limit }] : [])
+  ]);
+  return new Map(groups.map(({ _id, count }) => [String(_id), count]));
+}
+
+const PROJECT_METRICS = {
+  views: (range, options) => eventCounts('project.view', range, options),
+  addsToCart: (range, options) => eventCounts('cart.add', range, options),
+  orders: orderCounts
+};
+
+// ==========================
+// Enquiries
+// ==========================
+// Enquiries per day or week, with empty periods included as zero
+router.get('/enquiries', validate(enquiryTrendSchema), asyncHandler(async (req, res) => {
+  const { interval } = req.query;
+  const range = resolveRange(req.query);
+
+  const groups = await Message.aggregate([
+    { $match: { timestamp: between(range) } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$timestamp', unit: interval, startOfWeek: 'monday', timezone: 'UTC' } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+  const counts = new Map(groups.map(({ _id, count }) => [_id.getTime(), count]));
+
+  const stepMs = (interval === 'week' ? 7 : 1) * DAY_MS;
+  const buckets = [];
+  for (let start = periodStart(range.from, interval); start <= range.to; start = new Date(start.getTime() + stepMs)) {
+    buckets.push({ start, count: counts.get(start.getTime()) || 0 });
+  }
+
+  res.json({ ...range, interval, total: groups.reduce((sum, { count }) => sum + count, 0), buckets });
+}));
+
+// How many enquiries for each plan became orders, and how many of those
+// the client accepted. Enquiries are counted by when they arrived.
+router.get('/conversion', validate(analyticsRangeSchema), asyncHandler(async (req, res) => {
+  const range = resolveRange(req.query);
+
+  const groups = await Message.aggregate([
+    { $match: { timestamp: between(range) } },
+    {
+      $lookup: {
+        from: Order.collection.name,
+        localField: '_id',
+        foreignField: 'message',
+        pipeline: [{ $project: { status: 1, total: 1 } }],
+        as: 'order'
+      }
+    },
+    { $set: { order: { $first: '$order' } } },
+    {
+      $group: {
+        _id: '$plan',
+        enquiries: { $sum: 1 },
+        orders: { $sum: { $cond: [{ $ifNull: ['$order', false] }, 1, 0] } },
+        won: { $sum: { $cond: [{ $in: ['$order.status', WON_STATUSES] }, 1, 0] } },
+        revenue: { $sum: { $cond: [{ $in: ['$order.status', WON_STATUSES] }, '$order.total', 0] } }
+      }
+    },
+    { $sort: { enquiries: -1, _id: 1 } }
+  ]);
+
+  const plans = groups.map(({ _id, ...counts }) => ({
+    plan: _id,
+    ...counts,
+    conversionRate: ratio(counts.won, counts.enquiries)
+  }));
+
+  const totals = plans.reduce(
+    (sum, plan) => ({
+      enquiries: sum.enquiries + plan.enquiries,
+      orders: sum.orders + plan.orders,
+      won: sum.won + plan.won,
+      revenue: sum.revenue + plan.revenue
+    }),
+    { enquiries: 0, orders: 0, won: 0, revenue: 0 }
+  );
+
+  res.json({ ...range, plans, totals: { ...totals, conversionRate: ratio(totals.won, totals.enquiries) } });
+}));
+
+// Average time from an enquiry arriving to it being resolved, for threads
+// resolved in the range
+router.get('/resolution', validate(analyticsRangeSchema), asyncHandler(async (req, res) => {
+  const range = resolveRange(req.query);
+
+  const [stats] = await Message.aggregate([
+    { $match: { resolvedAt: between(range) } },
+    { $project: { durationMs: { $subtract: ['$resolvedAt', '$timestamp'] } } },
+    {
+      $group: {
+        _id: null,
+        resolved: { $sum: 1 },
+        averageMs: { $avg: '$durationMs' },
+        fastestMs: { $min: '$durationMs' },
+        slowestMs: { $max: '$durationMs' }
+      }
+    }
+  ]);
+
+  const { resolved = 0, averageMs = null, fastestMs = null, slowestMs = null } = stats || {};
+  res.json({
+    ...range,
+    resolved,
+    averageMs: averageMs === null ? null : Math.round(averageMs),
+    fastestMs,
+    slowestMs
+  });
+}));
+
+// ==========================
+// Projects
+// ==========================
+// The top projects by one metric, with the other metrics alongside
+router.get('/projects/top', validate(topProjectsSchema), asyncHandler(async (req, res) => {
+  const { by, limit } = req.query;
+  const range = resolveRange(req.query);
+
+  const ranked = await PROJECT_METRICS[by](range, { limit });
+  const ids = [...ranked.keys()];
+
+  const others = Object.keys(PROJECT_METRICS).filter(metric => metric !== by);
+  const [projects, ...otherCounts] = await Promise.all([
+    Project.find({ _id: { $in: ids } })
+      .select('title slug category type image imageVariants.thumbnail deletedAt')
+      .lean(),
+    ...others.map(metric => PROJECT_METRICS[metric](range, { ids }))
+  ]);
+  const projectsById = new Map(projects.map(project => [String(project._id), project]));
+
+  const items = ids.map(id => ({
+    // Null once the project has been purged
+    project: projectsById.get(id) || null,
+    [by]: ranked.get(id),
+    ...Object.fromEntries(others.map((metric, index) => [metric, otherCounts[index].get(id) || 0]))
+  }));
+
+  res.json({ ...range, by, items });
+}));
+
+// Views and cart additions grouped by project category and by type
+router.get('/projects/breakdown', validate(analyticsRangeSchema), asyncHandler(async (req, res) => {
+  const range = resolveRange(req.query);
+
+  const countBy = field => [
+    {
+      $group: {
+        _id: `$project.${field}`,
+        projects: { $sum: 1 },
+        views: { $sum: '$views' },
+        addsToCart: { $sum: '$addsToCart' }
+      }
+    },
+    { $sort: { views: -1, _id: 1 } },
+    { $project: { _id: 0, [field]: '$_id', projects: 1, views: 1, addsToCart: 1 } }
+  ];
+
+  const [{ categories, types }] = await AnalyticsEvent.aggregate([
+    { $match: { type: { $in: EVENT_TYPES }, timestamp: between(range), project: { $ne: null } } },
+    {
+      $group: {
+        _id: '$project',
+        views: { $sum: { $cond: [{ $eq: ['$type', 'project.view'] }, 1, 0] } },
+        addsToCart: { $sum: { $cond: [{ $eq: ['$type', 'cart.add'] }, 1, 0] } }
+      }
+    },
+    {
+      $lookup: {
+        from: Project.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        pipeline: [{ $project: { category: 1, type: 1 } }],
+        as: 'project'
+      }
+    },
+    { $unwind: '$project' },
+    { $facet: { categories: countBy('category'), types: countBy('type') } }
+  ]);
+
+  res.json({ ...range, categories, types });
+}));
+
+export default router;
@@ -0,0 +1,29 @@
+// routes/audit.js
+import express from 'express';
+import AuditEvent from '../models/AuditEvent.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { paginate } from '../lib/paginate.js';
+import { listAuditSchema } from '../schemas/audit.js';
+
+const router = express.Router();
+
+router.get('/', requirePermission('audit:read'), validate(listAuditSchema), asyncHandler(async (req, res) => {
+  const { page, limit, actor, action, targetType, targetId, from, to } = req.query;
+
+  const filter = {};
+  if (actor) filter.actor = actor;
+  if (action) filter.action = action;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = from;
+    if (to) filter.timestamp.$lte = to;
+  }
+
+  res.json(await paginate(AuditEvent, filter, { page, limit, sort: { timestamp: -1, _id: -1 } }));
+}));
+
+export default router;
@@ -0,0 +1,61 @@
+// routes/auth.js
+import express from 'express';
+import AdminUser from '../models/AdminUser.js';
+import { issueTokens, verifyToken, requireAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { UnauthorizedError, ForbiddenError } from '../lib/errors.js';
+import { loginSchema, refreshSchema } from '../schemas/auth.js';
+
+const router = express.Router();
+
+// Every attempt costs a bcrypt compare, so guesses are limited per client IP
+// and per account
+const limitLoginByIp = rateLimit({
+  name: 'login-ip',
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  keyFrom: req => req.ip
+});
+
+// Runs after validation, so the username is known to be a string
+const limitLoginByUsername = rateLimit({
+  name: 'login-username',
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyFrom: req => req.body.username.toLowerCase()
+});
+
+router.post(
+  '/login',
+  limitLoginByIp,
+  validate(loginSchema),
+  limitLoginByUsername,
+  asyncHandler(async (req, res) => {
+    const { username, password } = req.body;
+
+    const user = await AdminUser.authenticate(username, password);
+    if (!user) throw new UnauthorizedError('Invalid username or password');
+    if (!user.active) throw new ForbiddenError('Account has been deactivated');
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({ ...issueTokens(user), user });
+  })
+);
+
+router.post('/refresh', validate(refreshSchema), asyncHandler(async (req, res) => {
+  const user = await verifyToken(req.body.refreshToken, 'refresh');
+  if (!user) throw new UnauthorizedError('Invalid or expired refresh token');
+
+  res.json({ ...issueTokens(user), user });
+}));
+
+router.post('/logout', requireAuth, asyncHandler(async (req, res) => {
+  await AdminUser.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+  res.json({ message: 'Logged out successfully' });
+}));
+
+export default router;
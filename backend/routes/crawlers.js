@@ -0,0 +1,104 @@
+// routes/crawlers.js
+// sitemap.xml, robots.txt and the RSS feed of published work. Rendered
+// documents are cached until a project changes, and for at most a few minutes
+// so scheduled publishing shows up without a write.
+import express from 'express';
+import Project, { onProjectsChanged } from '../models/Project.js';
+import { createCache } from '../lib/cache.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { escapeHtml } from '../lib/html.js';
+import { publicUrl } from '../lib/urls.js';
+import { SITE_NAME, DEFAULT_META, PUBLIC_PAGES, PRIVATE_PREFIXES } from '../lib/pageMeta.js';
+
+const router = express.Router();
+
+const CACHE_SECONDS = 15 * 60;
+const FEED_SIZE = 20;
+
+const cache = createCache({ ttlMs: CACHE_SECONDS * 1000 });
+onProjectsChanged(cache.clear);
+
+const liveProjects = () => Project.find({ ...Project.liveFilter(), slug: { $ne: null } });
+
+const workUrl = project => `${publicUrl()}/works/${project.slug}`;
+
+// A project is "published" from its scheduled start, or from creation
+const publishedAt = project =>
+  project.publishAt && project.publishAt > project.createdAt ? project.publishAt : project.createdAt;
+
+async function buildSitemap() {
+  const projects = await liveProjects().select('slug createdAt publishAt').sort({ createdAt: -1 }).lean();
+  const base = publicUrl();
+
+  const urls = [
+    ...PUBLIC_PAGES.map(page => `  <url><loc>${escapeHtml(`${base}${page}`)}</loc></url>`),
+    ...projects.map(
+      project =>
+        `  <url><loc>${escapeHtml(workUrl(project))}</loc><lastmod>${publishedAt(project).toISOString()}</lastmod></url>`
+    )
+  ];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+async function buildFeed() {
+  const projects = await liveProjects()
+    .select('title slug description seo createdAt publishAt')
+    .sort({ createdAt: -1 })
+    .limit(FEED_SIZE)
+    .lean();
+  const base = publicUrl();
+
+  const items = projects.map(project => {
+    const link = escapeHtml(workUrl(project));
+    return `    <item>
+      <title>${escapeHtml(project.title)}</title>
+      <link>${link}</link>
+      <guid isPermaLink="true">${link}</guid>
+      <pubDate>${publishedAt(project).toUTCString()}</pubDate>
+      <description>${escapeHtml(project.seo?.description || project.description)}</description>
+    </item>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(`${SITE_NAME} | Latest Work`)}</title>
+    <link>${escapeHtml(`${base}/works`)}</link>
+    <atom:link href="${escapeHtml(`${base}/feed.xml`)}" rel="self" type="application/rss+xml" />
+    <description>${escapeHtml(DEFAULT_META.description)}</description>
+    <language>en</language>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function buildRobots() {
+  return [
+    'User-agent: *',
+    ...PRIVATE_PREFIXES.map(prefix => `Disallow: ${prefix}`),
+    'Disallow: /api/',
+    '',
+    `Sitemap: ${publicUrl()}/sitemap.xml`,
+    ''
+  ].join('\n');
+}
+
+// Sends a cached document, building it on a miss
+function serve(key, contentType, build) {
+  return asyncHandler(async (req, res) => {
+    const body = await cache.wrap(key, build);
+    res.set('Cache-Control', `public, max-age=${CACHE_SECONDS}`).type(contentType).send(body);
+  });
+}
+
+router.get('/sitemap.xml', serve('sitemap.xml', 'application/xml', buildSitemap));
+router.get('/feed.xml', serve('feed.xml', 'application/rss+xml', buildFeed));
+router.get('/robots.txt', serve('robots.txt', 'text/plain', async () => buildRobots()));
+
+export default router;
@@ -0,0 +1,44 @@
+// routes/events.js
+// Beacon for engagement events from the public site. Responses are empty,
+// since browsers discard them.
+import express from 'express';
+import AnalyticsEvent from '../models/AnalyticsEvent.js';
+import Project from '../models/Project.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { NotFoundError, ValidationError } from '../lib/errors.js';
+import { createEventSchema } from '../schemas/analytics.js';
+
+const router = express.Router();
+
+// navigator.sendBeacon posts strings as text/plain, so both types are parsed
+// here. app.js mounts this ahead of its own JSON parser, which then leaves the
+// body alone, so the 4kb cap holds for either.
+export const parseBeacon = express.json({ type: ['application/json', 'text/plain'], limit: '4kb' });
+
+// Enough for someone browsing quickly, not for a script inflating counts
+const limitEventsByIp = rateLimit({
+  name: 'events-ip',
+  windowMs: 60 * 1000,
+  max: 60,
+  keyFrom: req => req.ip
+});
+
+const invalid = (field, message) => new ValidationError([{ field, location: 'body', message }]);
+
+router.post('/', limitEventsByIp, validate(createEventSchema), asyncHandler(async (req, res) => {
+  const { type, project, plan } = req.body;
+
+  if (type === 'project.view' && !project) throw invalid('project', 'project is required');
+  if (type === 'cart.add' && !project && !plan) throw invalid('project', 'project or plan is required');
+
+  if (project && !(await Project.exists({ _id: project, deletedAt: null }))) {
+    throw new NotFoundError('Project not found');
+  }
+
+  await AnalyticsEvent.create(req.body);
+  res.status(204).end();
+}));
+
+export default router;
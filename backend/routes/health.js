@@ -0,0 +1,22 @@
+// routes/health.js
+// Probes for load balancers and orchestrators. /healthz answers as long as
+// the process is serving requests; /readyz only once it can do useful work.
+import express from 'express';
+import { healthReport } from '../lib/health.js';
+
+const router = express.Router();
+
+router.get('/healthz', (req, res) => {
+  const { ready, ...report } = healthReport(req.app.locals.db);
+  res.set('Cache-Control', 'no-store').json({ status: 'ok', ...report });
+});
+
+router.get('/readyz', (req, res) => {
+  const { ready, ...report } = healthReport(req.app.locals.db);
+  res
+    .status(ready ? 200 : 503)
+    .set('Cache-Control', 'no-store')
+    .json({ status: ready ? 'ready' : 'unavailable', ...report });
+});
+
+export default router;
@@ -0,0 +1,246 @@
+// routes/messages.js
+import express from 'express';
+import Message, { statusUpdate } from '../models/Message.js';
+import { audit } from '../middleware/audit.js';
+import { requirePermission, hasPermission } from '../middleware/auth.js';
+import { contactSpamGuard } from '../middleware/spamGuard.js';
+import { validate } from '../middleware/validate.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { NotFoundError, ForbiddenError } from '../lib/errors.js';
+import { paginate } from '../lib/paginate.js';
+import { streamExport, exportFilename } from '../lib/exports.js';
+import { notifyNewMessage, notifyStaffReply } from '../notifications/index.js';
+import {
+  MESSAGE_STATUSES,
+  messageIdSchema,
+  listMessagesSchema,
+  messageCountsSchema,
+  exportMessagesSchema,
+  bulkMessagesSchema,
+  createMessageSchema,
+  updateMessageSchema,
+  replyMessageSchema
+} from '../schemas/messages.js';
+
+const router = express.Router();
+
+const MESSAGE_SORT_ORDERS = {
+  newest: { timestamp: -1, _id: -1 },
+  oldest: { timestamp: 1, _id: 1 },
+  relevance: { score: { $meta: 'textScore' }, timestamp: -1, _id: -1 }
+};
+
+const archivedFilter = archived => ({ archivedAt: archived ? { $ne: null } : null });
+
+// Filters shared by the inbox and exports
+function messageFilter({ status, type, plan, from, to }) {
+  const filter = {};
+  if (status) filter.status = status;
+  if (type) filter.type = type;
+  if (plan) filter.plan = plan;
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = from;
+    if (to) filter.timestamp.$lte = to;
+  }
+  return filter;
+}
+
+// Spreadsheet columns; JSON exports have whole threads
+const EXPORT_COLUMNS = {
+  id: '_id',
+  receivedAt: 'timestamp',
+  status: 'status',
+  type: 'type',
+  senderName: 'senderName',
+  senderEmail: 'senderEmail',
+  senderPhone: 'senderPhone',
+  subject: 'subject',
+  plan: 'plan',
+  items: message => message.items?.map(item => item.title),
+  body: 'body',
+  replies: message => message.history?.filter(entry => entry.sender === 'admin').length ?? 0,
+  resolvedAt: 'resolvedAt',
+  archivedAt: 'archivedAt'
+};
+
+// ==========================
+// Inbox
+// ==========================
+router.get('/', requirePermission('messages:read'), validate(listMessagesSchema), asyncHandler(async (req, res) => {
+  const { page, limit, q, archived, sort } = req.query;
+
+  const filter = { ...archivedFilter(archived), ...messageFilter(req.query) };
+  if (q) filter.$text = { $search: q };
+
+  // Relevance only means something for a text search
+  const sortOrder = MESSAGE_SORT_ORDERS[sort === 'relevance' && !q ? 'newest' : sort];
+  const projection = q ? { score: { $meta: 'textScore' } } : {};
+
+  res.json(await paginate(Message, filter, { page, limit, sort: sortOrder, projection }));
+}));
+
+// Per-status totals for the dashboard badge
+router.get(
+  '/counts',
+  requirePermission('messages:read'),
+  validate(messageCountsSchema),
+  asyncHandler(async (req, res) => {
+    const groups = await Message.aggregate([
+      { $match: archivedFilter(req.query.archived) },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const counts = Object.fromEntries(MESSAGE_STATUSES.map(status => [status, 0]));
+    for (const { _id, count } of groups) {
+      if (_id in counts) counts[_id] = count;
+    }
+    counts.total = groups.reduce((sum, { count }) => sum + count, 0);
+
+    res.json(counts);
+  })
+);
+
+// Downloads every matching message, oldest first, as CSV or JSON
+router.get(
+  '/export',
+  requirePermission('messages:read'),
+  validate(exportMessagesSchema),
+  asyncHandler(async (req, res) => {
+    const { format, archived } = req.query;
+
+    const filter = messageFilter(req.query);
+    if (archived !== undefined) Object.assign(filter, archivedFilter(archived));
+
+    await streamExport(res, {
+      cursor: Message.find(filter).sort({ timestamp: 1, _id: 1 }).lean().cursor(),
+      format,
+      filename: exportFilename('messages'),
+      columns: EXPORT_COLUMNS
+    });
+  })
+);
+
+// Returns the full thread. Opening an unread thread marks it as read.
+router.get('/:id', requirePermission('messages:read'), validate(messageIdSchema), asyncHandler(async (req, res) => {
+  const message =
+    (await Message.findOneAndUpdate(
+      { _id: req.params.id, status: 'unread' },
+      statusUpdate('read'),
+      { new: true }
+    )) || (await Message.findById(req.params.id));
+  if (!message) throw new NotFoundError('Message not found');
+  res.json(message);
+}));
+
+// ==========================
+// Contact Form
+// ==========================
+router.post('/', contactSpamGuard(validate(createMessageSchema)), asyncHandler(async (req, res) => {
+  const saved = await Message.createEnquiry(req.body);
+  res.status(201).json(saved);
+  notifyNewMessage(saved);
+}));
+
+// ==========================
+// Staff Actions
+// ==========================
+router.patch(
+  '/:id',
+  requirePermission('messages:update'),
+  validate(updateMessageSchema),
+  audit('message.status', Message),
+  asyncHandler(async (req, res) => {
+    const updated = await Message.findByIdAndUpdate(
+      req.params.id,
+      statusUpdate(req.body.status),
+      { new: true, runValidators: true }
+    );
+    if (!updated) throw new NotFoundError('Message not found');
+    res.json(updated);
+  })
+);
+
+// Appends a staff reply with $push so concurrent replies never overwrite
+// each other. Replying reopens a resolved thread.
+router.post(
+  '/:id/replies',
+  requirePermission('messages:update'),
+  validate(replyMessageSchema),
+  audit('message.reply', Message),
+  asyncHandler(async (req, res) => {
+    const reply = {
+      sender: 'admin',
+      author: req.user._id,
+      authorName: req.user.name || req.user.username,
+      text: req.body.text,
+      attachments: req.body.attachments
+    };
+
+    const updated = await Message.findByIdAndUpdate(
+      req.params.id,
+      { $push: { history: reply }, ...statusUpdate('read') },
+      { new: true, runValidators: true }
+    );
+    if (!updated) throw new NotFoundError('Message not found');
+    res.status(201).json(updated);
+    notifyStaffReply(updated, reply);
+  })
+);
+
+router.post(
+  '/:id/close',
+  requirePermission('messages:update'),
+  validate(messageIdSchema),
+  audit('message.close', Message),
+  asyncHandler(async (req, res) => {
+    const updated = await Message.findByIdAndUpdate(
+      req.params.id,
+      statusUpdate('resolved'),
+      { new: true }
+    );
+    if (!updated) throw new NotFoundError('Message not found');
+    res.json(updated);
+  })
+);
+
+// Each bulk action names the permission it needs and builds its update
+const BULK_ACTIONS = {
+  'mark-read': { permission: 'messages:update', update: () => statusUpdate('read') },
+  'mark-unread': { permission: 'messages:update', update: () => statusUpdate('unread') },
+  'mark-resolved': { permission: 'messages:update', update: () => statusUpdate('resolved') },
+  archive: { permission: 'messages:update', update: () => ({ $set: { archivedAt: new Date() } }) },
+  unarchive: { permission: 'messages:update', update: () => ({ $unset: { archivedAt: 1 } }) },
+  delete: { permission: 'messages:delete' }
+};
+
+const auditBulk = audit(req => `message.bulk.${req.body.action}`, Message, {
+  targetIds: req => req.body.ids
+});
+
+router.post(
+  '/bulk',
+  requirePermission('messages:update'),
+  validate(bulkMessagesSchema),
+  auditBulk,
+  asyncHandler(async (req, res) => {
+    const { ids, action } = req.body;
+    const { permission, update } = BULK_ACTIONS[action];
+
+    if (!hasPermission(req.user, permission)) {
+      throw new ForbiddenError();
+    }
+
+    const filter = { _id: { $in: ids } };
+
+    if (action === 'delete') {
+      const { deletedCount } = await Message.deleteMany(filter);
+      return res.json({ action, matched: deletedCount, modified: deletedCount });
+    }
+
+    const { matchedCount, modifiedCount } = await Message.updateMany(filter, update());
+    res.json({ action, matched: matchedCount, modified: modifiedCount });
+  })
+);
+
+export default router;
@@ -0,0 +1,179 @@
+// routes/orders.js
+import express from 'express';
+import Order, { PLAN_PRICES, EDITABLE_STATUSES } from '../models/Order.js';
+import Message from '../models/Message.js';
+import Project from '../models/Project.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { NotFoundError, ConflictError, ValidationError } from '../lib/errors.js';
+import { paginate } from '../lib/paginate.js';
+import {
+  orderIdSchema,
+  listOrdersSchema,
+  createOrderSchema,
+  orderFromMessageSchema,
+  updateOrderSchema,
+  orderStatusSchema
+} from '../schemas/orders.js';
+
+const router = express.Router();
+
+const PROJECT_SUMMARY = 'title category type image';
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+// Throws a ValidationError for line items that point at missing projects
+async function checkProjectRefs(items = []) {
+  const ids = items.filter(item => item.project).map(item => item.project);
+  if (!ids.length) return;
+
+  const found = await Project.find({ _id: { $in: ids } }).distinct('_id');
+  const known = new Set(found.map(String));
+
+  const errors = items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => item.project && !known.has(String(item.project)))
+    .map(({ index }) => ({
+      field: 'items',
+      location: 'body',
+      message: `items item ${index} project does not exist`
+    }));
+  if (errors.length) throw new ValidationError(errors);
+}
+
+// Loads the target order for /:id routes, after the id has been validated
+const loadOrder = asyncHandler(async (req, res, next) => {
+  req.order = await Order.findById(req.params.id);
+  if (!req.order) throw new NotFoundError('Order not found');
+  next();
+});
+
+// ==========================
+// Read
+// ==========================
+router.get('/', requirePermission('orders:read'), validate(listOrdersSchema), asyncHandler(async (req, res) => {
+  const { page, limit, status } = req.query;
+
+  res.json(
+    await paginate(Order, status ? { status } : {}, {
+      page,
+      limit,
+      sort: { createdAt: -1, _id: -1 }
+    })
+  );
+}));
+
+router.get('/:id', requirePermission('orders:read'), validate(orderIdSchema), asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .populate('items.project', PROJECT_SUMMARY)
+    .populate('message', 'subject timestamp status');
+  if (!order) throw new NotFoundError('Order not found');
+  res.json(order);
+}));
+
+// ==========================
+// Create
+// ==========================
+router.post('/', requirePermission('orders:manage'), validate(createOrderSchema), asyncHandler(async (req, res) => {
+  await checkProjectRefs(req.body.items);
+
+  const order = new Order({ ...req.body, createdBy: req.user._id });
+  order.transitionTo('requested', req.user);
+  await order.save();
+  res.status(201).json(order);
+}));
+
+// Turns an enquiry into a draft quote. The plan is priced from the list
+// prices and any projects from the cart are added at zero for staff to price.
+router.post(
+  '/from-message/:messageId',
+  requirePermission('orders:manage'),
+  validate(orderFromMessageSchema),
+  asyncHandler(async (req, res) => {
+    const message = await Message.findById(req.params.messageId);
+    if (!message) throw new NotFoundError('Message not found');
+
+    const existing = await Order.findOne({ message: message._id }).select('_id');
+    if (existing) {
+      throw new ConflictError('An order already exists for this message', { details: { orderId: existing._id } });
+    }
+
+    const cartProjectIds = message.items
+      .map(item => item.id)
+      .filter(id => OBJECT_ID_PATTERN.test(id || ''));
+    const projects = await Project.find({ _id: { $in: cartProjectIds } }).select('title');
+
+    const plan = message.plan || message.items.find(item => item.type === 'Plan')?.title;
+    const items = [
+      ...(plan ? [{ description: plan, unitPrice: PLAN_PRICES[plan] ?? 0 }] : []),
+      ...projects.map(project => ({
+        project: project._id,
+        description: project.title,
+        unitPrice: 0
+      }))
+    ];
+
+    const order = new Order({
+      message: message._id,
+      customer: {
+        name: message.senderName || message.senderEmail,
+        email: message.senderEmail,
+        phone: message.senderPhone,
+        address: message.senderAddress
+      },
+      plan,
+      items,
+      createdBy: req.user._id
+    });
+    order.transitionTo('requested', req.user, 'Created from enquiry');
+    await order.save();
+
+    res.status(201).json(order);
+  })
+);
+
+// ==========================
+// Update
+// ==========================
+router.patch(
+  '/:id',
+  requirePermission('orders:manage'),
+  validate(updateOrderSchema),
+  loadOrder,
+  asyncHandler(async (req, res) => {
+    const { order } = req;
+    if (!EDITABLE_STATUSES.includes(order.status)) {
+      throw new ConflictError(`Orders that are ${order.status} can no longer be edited`);
+    }
+
+    await checkProjectRefs(req.body.items);
+
+    order.set(req.body);
+    await order.save();
+    res.json(order);
+  })
+);
+
+router.post(
+  '/:id/status',
+  requirePermission('orders:manage'),
+  validate(orderStatusSchema),
+  loadOrder,
+  asyncHandler(async (req, res) => {
+    const { order } = req;
+    const { status, note } = req.body;
+
+    if (!order.canTransitionTo(status)) {
+      throw new ConflictError(`Cannot move an order from ${order.status} to ${status}`);
+    }
+    if (status === 'quoted' && !order.items.length) {
+      throw new ConflictError('Add at least one line item before sending a quote');
+    }
+
+    order.transitionTo(status, req.user, note);
+    await order.save();
+    res.json(order);
+  })
+);
+
+export default router;
@@ -0,0 +1,111 @@
+// routes/portal.js
+import express from 'express';
+import Message, { statusUpdate } from '../models/Message.js';
+import {
+  issuePortalLinkToken,
+  issuePortalSessionToken,
+  verifyPortalToken,
+  requirePortalAuth
+} from '../middleware/portalAuth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { NotFoundError, UnauthorizedError } from '../lib/errors.js';
+import {
+  magicLinkSchema,
+  portalSessionSchema,
+  portalMessageIdSchema,
+  portalReplySchema
+} from '../schemas/portal.js';
+import { sendPortalLink } from '../notifications/index.js';
+import { publicUrl } from '../lib/urls.js';
+
+const router = express.Router();
+
+// Clients never see which staff account wrote a reply, only the name
+const CLIENT_PROJECTION = '-history.author';
+
+// Each link is an email we send, so requests are limited per client IP and
+// per address, as contact submissions are
+const limitMagicLinkByIp = rateLimit({
+  name: 'portal-link-ip',
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyFrom: req => req.ip
+});
+
+// Runs after validation, so the email is known to be well-formed
+const limitMagicLinkByEmail = rateLimit({
+  name: 'portal-link-email',
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  keyFrom: req => req.body.email.toLowerCase()
+});
+
+// ==========================
+// Sign-in
+// ==========================
+// Always answers the same way so the endpoint cannot be used to discover
+// which addresses have written to us.
+router.post(
+  '/magic-link',
+  limitMagicLinkByIp,
+  validate(magicLinkSchema),
+  limitMagicLinkByEmail,
+  asyncHandler(async (req, res) => {
+    const email = req.body.email.toLowerCase();
+
+    if (await Message.exists({ senderEmail: email })) {
+      const token = issuePortalLinkToken(email);
+      await sendPortalLink(email, `${publicUrl()}/portal?token=${encodeURIComponent(token)}`);
+    }
+    res.status(202).json({ message: 'If we have messages from that address, a sign-in link is on its way' });
+  })
+);
+
+// Exchanges the short-lived link token for a longer-lived session token
+router.post('/session', validate(portalSessionSchema), (req, res) => {
+  const email = verifyPortalToken(req.body.token, 'portal-link');
+  if (!email) throw new UnauthorizedError('Invalid or expired sign-in link');
+
+  res.json({ accessToken: issuePortalSessionToken(email), email });
+});
+
+// ==========================
+// Threads
+// ==========================
+// Every query below is scoped to the signed-in email, so a client can only
+// ever reach their own threads; anything else is a 404.
+router.use('/messages', requirePortalAuth);
+
+router.get('/messages', asyncHandler(async (req, res) => {
+  const messages = await Message.find({ senderEmail: req.portalEmail })
+    .select(CLIENT_PROJECTION)
+    .sort({ timestamp: -1 });
+  res.json(messages);
+}));
+
+router.get('/messages/:id', validate(portalMessageIdSchema), asyncHandler(async (req, res) => {
+  const message = await Message.findOne({
+    _id: req.params.id,
+    senderEmail: req.portalEmail
+  }).select(CLIENT_PROJECTION);
+  if (!message) throw new NotFoundError('Message not found');
+  res.json(message);
+}));
+
+// A client follow-up puts the thread back in the staff inbox as unread
+router.post('/messages/:id/replies', validate(portalReplySchema), asyncHandler(async (req, res) => {
+  const updated = await Message.findOneAndUpdate(
+    { _id: req.params.id, senderEmail: req.portalEmail },
+    {
+      $push: { history: { sender: 'client', text: req.body.text } },
+      ...statusUpdate('unread')
+    },
+    { new: true, runValidators: true }
+  ).select(CLIENT_PROJECTION);
+  if (!updated) throw new NotFoundError('Message not found');
+  res.status(201).json(updated);
+}));
+
+export default router;
@@ -0,0 +1,411 @@
+// routes/projects.js
+import express from 'express';
+import Project, { statusFilter, slugTaken, SLUG_TAKEN, onProjectsChanged } from '../models/Project.js';
+import AuditEvent from '../models/AuditEvent.js';
+import { audit } from '../middleware/audit.js';
+import { requirePermission, optionalAuth } from '../middleware/auth.js';
+import { cachePublicResponse } from '../middleware/responseCache.js';
+import { uploadImage } from '../middleware/upload.js';
+import { validate, validateFields } from '../middleware/validate.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { BadRequestError, NotFoundError, ConflictError, ValidationError } from '../lib/errors.js';
+import { storeProjectImage } from '../lib/images.js';
+import { paginate } from '../lib/paginate.js';
+import { createCache } from '../lib/cache.js';
+import { parseCsvRecords } from '../lib/csv.js';
+import { streamExport, exportFilename } from '../lib/exports.js';
+import {
+  listProjectsSchema,
+  projectTrashSchema,
+  createProjectSchema,
+  updateProjectSchema,
+  projectStatusSchema,
+  projectIdSchema,
+  projectSlugSchema,
+  exportProjectsSchema,
+  importProjectsSchema,
+  importProjectFields,
+  checkSchedule
+} from '../schemas/projects.js';
+
+const router = express.Router();
+
+const PROJECT_SORT_ORDERS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  rating: { rating: -1, createdAt: -1, _id: -1 },
+  relevance: { score: { $meta: 'textScore' }, createdAt: -1, _id: -1 }
+};
+
+// Trashed projects are invisible to every route except trash and restore
+const notDeleted = id => ({ _id: id, deletedAt: null });
+
+// Public reads are cached until a project changes, and for at most a minute
+// so scheduled publishing shows up without a write
+const publicCache = createCache({ ttlMs: 60 * 1000, maxEntries: 500 });
+onProjectsChanged(publicCache.clear);
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Spreadsheet columns; JSON exports have whole documents. The headers match
+// the import fields, so an export can be edited and imported elsewhere.
+const EXPORT_COLUMNS = {
+  title: 'title',
+  slug: 'slug',
+  category: 'category',
+  type: 'type',
+  language: 'language',
+  rating: 'rating',
+  description: 'description',
+  image: 'image',
+  status: 'status',
+  publishAt: 'publishAt',
+  unpublishAt: 'unpublishAt',
+  'seo.title': 'seo.title',
+  'seo.description': 'seo.description',
+  'seo.image': 'seo.image',
+  id: '_id',
+  createdAt: 'createdAt'
+};
+
+// ==========================
+// Read
+// ==========================
+// Anonymous visitors only get live projects; signed-in staff see drafts,
+// archived and scheduled projects too, and can filter by status.
+router.get(
+  '/',
+  optionalAuth,
+  validate(listProjectsSchema),
+  cachePublicResponse(publicCache),
+  asyncHandler(async (req, res) => {
+    const { page, limit, category, type, language, minRating, q, sort, status } = req.query;
+
+    const filter = req.user ? { deletedAt: null } : Project.liveFilter();
+    if (req.user && status) filter.status = statusFilter(status);
+    if (category) filter.category = category;
+    if (type) filter.type = type;
+    if (language) filter.language = language;
+    if (minRating !== undefined) filter.rating = { $gte: minRating };
+    if (q) filter.$text = { $search: q };
+
+    // Relevance only means something for a text search
+    const sortOrder = PROJECT_SORT_ORDERS[sort === 'relevance' && !q ? 'newest' : sort];
+    const projection = q ? { score: { $meta: 'textScore' } } : {};
+
+    res.json(await paginate(Project, filter, { page, limit, sort: sortOrder, projection }));
+  })
+);
+
+router.get(
+  '/trash',
+  requirePermission('projects:delete'),
+  validate(projectTrashSchema),
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    res.json(
+      await paginate(Project, { deletedAt: { $ne: null } }, { page, limit, sort: { deletedAt: -1, _id: -1 } })
+    );
+  })
+);
+
+router.get(
+  '/by-slug/:slug',
+  optionalAuth,
+  validate(projectSlugSchema),
+  cachePublicResponse(publicCache),
+  asyncHandler(async (req, res) => {
+    const filter = req.user ? { deletedAt: null } : Project.liveFilter();
+
+    const project = await Project.findOne({ ...filter, slug: req.params.slug });
+    if (!project) throw new NotFoundError('Project not found');
+    res.json(project);
+  })
+);
+
+router.get(
+  '/export',
+  requirePermission('projects:update'),
+  validate(exportProjectsSchema),
+  asyncHandler(async (req, res) => {
+    const { format, status, category, type } = req.query;
+
+    const filter = { deletedAt: null };
+    if (status) filter.status = statusFilter(status);
+    if (category) filter.category = category;
+    if (type) filter.type = type;
+
+    await streamExport(res, {
+      cursor: Project.find(filter).sort({ createdAt: 1, _id: 1 }).lean().cursor(),
+      format,
+      filename: exportFilename('projects'),
+      columns: EXPORT_COLUMNS
+    });
+  })
+);
+
+// ==========================
+// Create
+// ==========================
+router.post(
+  '/',
+  requirePermission('projects:create'),
+  validate(createProjectSchema),
+  audit('project.create', Project),
+  asyncHandler(async (req, res) => {
+    const { publishAt, unpublishAt } = req.body;
+    const scheduleErrors = checkSchedule(publishAt, unpublishAt);
+    if (scheduleErrors.length) throw new ValidationError(scheduleErrors);
+
+    if (req.body.slug && (await slugTaken(req.body.slug))) {
+      throw new ConflictError(SLUG_TAKEN);
+    }
+
+    const saved = await new Project(req.body).save();
+    res.status(201).json(saved);
+  })
+);
+
+// ==========================
+// Import
+// ==========================
+// Imports can run to MAX_IMPORT_ROWS rows, so both formats get more room than
+// the app-wide JSON limit. app.js mounts the JSON parser ahead of its own,
+// which then leaves the body alone.
+// CSV columns are the field names, with "seo.title" style headers for SEO.
+const IMPORT_BODY_LIMIT = '5mb';
+export const parseImportJson = express.json({ limit: IMPORT_BODY_LIMIT });
+const parseCsvBody = express.text({ type: ['text/csv', 'application/csv'], limit: IMPORT_BODY_LIMIT });
+
+function importRows(req) {
+  if (typeof req.body === 'string') {
+    try {
+      return parseCsvRecords(req.body).map(record =>
+        Object.entries(record).reduce((row, [column, value]) => {
+          const [field, nested] = column.split('.');
+          if (nested) row[field] = { ...row[field], [nested]: value };
+          else row[field] = value;
+          return row;
+        }, {})
+      );
+    } catch (err) {
+      throw new BadRequestError(`CSV could not be parsed: ${err.message}`, { code: 'INVALID_CSV' });
+    }
+  }
+  if (Array.isArray(req.body)) return req.body;
+  throw new BadRequestError('Send a JSON array of projects or CSV with a header row');
+}
+
+// Checks every row as a create would, including the model's own validation
+// and slug uniqueness across the database and the import itself. Returns the
+// unsaved documents and the problems found, each tagged with its 1-based row.
+async function checkImportRows(rows) {
+  const projects = [];
+  const errors = [];
+  const slugs = new Set();
+
+  for (const [index, input] of rows.entries()) {
+    const row = index + 1;
+    const { values, errors: fieldErrors } = validateFields(importProjectFields, input);
+    const rowErrors = [...fieldErrors, ...checkSchedule(values.publishAt, values.unpublishAt)];
+
+    if (!rowErrors.length) {
+      if (!values.slug) {
+        values.slug = await Project.uniqueSlug(values.title, undefined, slugs);
+      } else if (slugs.has(values.slug) || (await slugTaken(values.slug))) {
+        rowErrors.push({ field: 'slug', location: 'body', message: SLUG_TAKEN });
+      }
+    }
+
+    if (!rowErrors.length) {
+      const project = new Project(values);
+      const invalid = project.validateSync();
+      if (invalid) {
+        for (const error of Object.values(invalid.errors)) {
+          rowErrors.push({ field: error.path, location: 'body', message: error.message });
+        }
+      } else {
+        slugs.add(project.slug);
+        projects.push(project);
+      }
+    }
+
+    errors.push(...rowErrors.map(error => ({ row, ...error })));
+  }
+
+  return { projects, errors };
+}
+
+// With ?dryRun=true nothing is saved and the report is the whole response.
+// Otherwise the rows are only saved if every one of them is valid.
+router.post(
+  '/import',
+  requirePermission('projects:create'),
+  parseCsvBody,
+  validate(importProjectsSchema),
+  audit('project.import', Project, { createdIds: body => body?.projects?.map(project => project._id) ?? [] }),
+  asyncHandler(async (req, res) => {
+    const rows = importRows(req);
+    if (!rows.length) throw new BadRequestError('There are no projects to import');
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new BadRequestError(`At most ${MAX_IMPORT_ROWS} projects can be imported at once`);
+    }
+
+    const { projects, errors } = await checkImportRows(rows);
+    const invalidRows = new Set(errors.map(error => error.row)).size;
+    const report = { total: rows.length, valid: rows.length - invalidRows, invalid: invalidRows };
+
+    if (req.query.dryRun) return res.json({ dryRun: true, ...report, errors });
+    if (errors.length) {
+      throw new ValidationError(errors, `${invalidRows} of ${rows.length} rows are invalid; nothing was imported`);
+    }
+
+    const created = await Project.insertMany(projects);
+    res.status(201).json({ dryRun: false, ...report, projects: created });
+  })
+);
+
+// ==========================
+// Update
+// ==========================
+router.put(
+  '/:id',
+  requirePermission('projects:update'),
+  validate(updateProjectSchema),
+  audit('project.update', Project),
+  asyncHandler(async (req, res) => {
+    if (req.body.slug && (await slugTaken(req.body.slug, req.params.id))) {
+      throw new ConflictError(SLUG_TAKEN);
+    }
+
+    const updated = await Project.findOneAndUpdate(
+      notDeleted(req.params.id),
+      req.body,
+      { new: true, runValidators: true }
+    );
+    if (!updated) throw new NotFoundError('Project not found');
+    res.json(updated);
+  })
+);
+
+// Publishing settings replace the current ones, so omitting a date clears it
+router.patch(
+  '/:id/status',
+  requirePermission('projects:update'),
+  validate(projectStatusSchema),
+  audit('project.status', Project),
+  asyncHandler(async (req, res) => {
+    const { status, publishAt, unpublishAt } = req.body;
+    const scheduleErrors = checkSchedule(publishAt, unpublishAt);
+    if (scheduleErrors.length) throw new ValidationError(scheduleErrors);
+
+    const updated = await Project.findOneAndUpdate(
+      notDeleted(req.params.id),
+      { status, publishAt: publishAt ?? null, unpublishAt: unpublishAt ?? null },
+      { new: true, runValidators: true }
+    );
+    if (!updated) throw new NotFoundError('Project not found');
+    res.json(updated);
+  })
+);
+
+router.post(
+  '/:id/image',
+  requirePermission('projects:update'),
+  validate(projectIdSchema),
+  uploadImage('image'),
+  audit('project.image', Project),
+  asyncHandler(async (req, res) => {
+    if (!(await Project.exists(notDeleted(req.params.id)))) throw new NotFoundError('Project not found');
+
+    const stored = await storeProjectImage(req.file.buffer);
+    if (!stored) {
+      throw new ValidationError([
+        { field: 'image', location: 'body', message: 'image must be a readable image file' }
+      ]);
+    }
+
+    // Only the image fields are written, so older projects missing fields
+    // that are now required can still be given one
+    const updated = await Project.findOneAndUpdate(notDeleted(req.params.id), { $set: stored }, { new: true });
+    if (!updated) throw new NotFoundError('Project not found');
+    res.json(updated);
+  })
+);
+
+// ==========================
+// Trash
+// ==========================
+// Moves the project to the trash; it can be restored until it is purged
+router.delete(
+  '/:id',
+  requirePermission('projects:delete'),
+  validate(projectIdSchema),
+  audit('project.delete', Project),
+  asyncHandler(async (req, res) => {
+    const deleted = await Project.findOneAndUpdate(notDeleted(req.params.id), {
+      deletedAt: new Date(),
+      deletedBy: req.user._id
+    });
+    if (!deleted) throw new NotFoundError('Project not found');
+    res.json({ message: 'Project moved to trash' });
+  })
+);
+
+// Permanently removes a project that is already in the trash
+router.delete(
+  '/trash/:id',
+  requirePermission('projects:delete'),
+  validate(projectIdSchema),
+  audit('project.purge', Project),
+  asyncHandler(async (req, res) => {
+    const purged = await Project.findOneAndDelete({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!purged) throw new NotFoundError('Project not found in trash');
+    res.json({ message: 'Project deleted permanently' });
+  })
+);
+
+// Takes a project out of the trash. A purged project is recreated, with its
+// original id, from the snapshot the audit log took when it was removed.
+router.post(
+  '/:id/restore',
+  requirePermission('projects:delete'),
+  validate(projectIdSchema),
+  audit('project.restore', Project),
+  asyncHandler(async (req, res) => {
+    const restoredFields = { deletedAt: null, deletedBy: null };
+
+    // An update rather than a save, so projects missing fields that are now
+    // required can be restored as they were trashed
+    const project = await Project.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: { $ne: null } },
+      { $set: restoredFields },
+      { new: true }
+    );
+    if (project) return res.json(project);
+    if (await Project.exists({ _id: req.params.id })) throw new ConflictError('Project is not in the trash');
+
+    const removal = await AuditEvent.findOne({
+      targetType: 'Project',
+      targetId: req.params.id,
+      action: { $in: ['project.delete', 'project.purge'] },
+      before: { $ne: null }
+    }).sort({ timestamp: -1 });
+    if (!removal) throw new NotFoundError('No audited snapshot found for this project');
+
+    // Another project may have claimed the slug since; a new one is generated.
+    // Saved without validation, so the snapshot is restored as it was even
+    // when it lacks fields that are now required.
+    const { slug, ...snapshot } = removal.before;
+    const restored = new Project({
+      ...snapshot,
+      slug: slug && !(await slugTaken(slug)) ? slug : await Project.uniqueSlug(snapshot.title, req.params.id),
+      ...restoredFields
+    });
+    await restored.save({ validateBeforeSave: false });
+    res.status(201).json(restored);
+  })
+);
+
+export default router;
@@ -0,0 +1,74 @@
+// routes/quarantine.js
+import express from 'express';
+import Message from '../models/Message.js';
+import QuarantinedSubmission from '../models/QuarantinedSubmission.js';
+import { audit } from '../middleware/audit.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate, validateFields } from '../middleware/validate.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { NotFoundError, ConflictError, ValidationError } from '../lib/errors.js';
+import { paginate } from '../lib/paginate.js';
+import { notifyNewMessage } from '../notifications/index.js';
+import { createMessageSchema } from '../schemas/messages.js';
+import { listQuarantineSchema, quarantineIdSchema } from '../schemas/quarantine.js';
+
+const router = express.Router();
+
+router.use(requirePermission('messages:update'));
+
+// Loads a submission that is still waiting for review
+const loadPending = asyncHandler(async (req, res, next) => {
+  req.submission = await QuarantinedSubmission.findById(req.params.id);
+  if (!req.submission) throw new NotFoundError('Submission not found');
+  if (req.submission.status !== 'pending') {
+    throw new ConflictError(`Submission has already been ${req.submission.status}`);
+  }
+  next();
+});
+
+router.get('/', validate(listQuarantineSchema), asyncHandler(async (req, res) => {
+  const { page, limit, status, reason } = req.query;
+  const filter = { status };
+  if (reason) filter.reason = reason;
+
+  res.json(await paginate(QuarantinedSubmission, filter, { page, limit, sort: { createdAt: -1, _id: -1 } }));
+}));
+
+// Delivers a genuine submission to the inbox as if it had never been blocked.
+// The :id is the submission's, so the audit takes the new message's id from
+// the response, as it does for other creates.
+router.post(
+  '/:id/release',
+  validate(quarantineIdSchema),
+  loadPending,
+  audit('message.release', Message, { targetIds: () => [] }),
+  asyncHandler(async (req, res) => {
+    const { submission } = req;
+
+    // Some submissions were held before validation ran, so the payload gets the
+    // same checks as the contact form. Only the fields it may set are kept.
+    const { values, errors } = validateFields(createMessageSchema.body, submission.payload);
+    if (errors.length) throw new ValidationError(errors, 'Submission is not a valid message');
+
+    const message = await Message.createEnquiry(values);
+
+    submission.set({
+      status: 'released',
+      message: message._id,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date()
+    });
+    await submission.save();
+
+    res.status(201).json(message);
+    notifyNewMessage(message);
+  })
+);
+
+router.post('/:id/discard', validate(quarantineIdSchema), loadPending, asyncHandler(async (req, res) => {
+  req.submission.set({ status: 'discarded', reviewedBy: req.user._id, reviewedAt: new Date() });
+  await req.submission.save();
+  res.json(req.submission);
+}));
+
+export default router;
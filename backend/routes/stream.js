@@ -0,0 +1,93 @@
+// routes/stream.js
+// Server-Sent Events for the admin panel, so new enquiries and project edits
+// show up without reloading. Events come from lib/liveEvents.js.
+import express from 'express';
+import AdminUser from '../models/AdminUser.js';
+import { requireAuth, hasPermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { HttpError } from '../lib/errors.js';
+import { isShuttingDown } from '../lib/health.js';
+import { logger } from '../lib/logger.js';
+import { subscribe, eventsSince } from '../lib/liveEvents.js';
+import { streamSchema } from '../schemas/stream.js';
+
+const router = express.Router();
+
+// Comments keep proxies from closing an idle connection
+const HEARTBEAT_MS = 25 * 1000;
+// How long browsers wait before reconnecting after a drop
+const RETRY_MS = 5 * 1000;
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Message events only go to staff who can read the inbox
+const canReceive = (user, event) => !event.type.startsWith('message.') || hasPermission(user, 'messages:read');
+
+// Re-reads the user on each heartbeat. Returns false once a logout,
+// deactivation or password reset has revoked the token the stream was opened
+// with; a role change is picked up as it is.
+async function refreshUser(user) {
+  const current = await AdminUser.findById(user._id).select('active role tokenVersion');
+  if (!current || !current.active || current.tokenVersion !== user.tokenVersion) return false;
+  user.role = current.role;
+  return true;
+}
+
+const formatEvent = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && req.query.token) req.headers.authorization = `Bearer ${req.query.token}`;
+  next();
+}
+
+// A client reconnecting with Last-Event-ID first gets the events it missed.
+// When those are no longer known (too old, or sent by another server) it gets
+// a `reset` event and should reload what it shows. When the access token
+// expires or is revoked the stream sends `expired` and closes; the client
+// should reconnect with a fresh token.
+router.get('/', validate(streamSchema), tokenFromQuery, requireAuth, (req, res, next) => {
+  // Shutdown is ending every stream, so new ones would only hold it up
+  if (isShuttingDown()) return next(new HttpError(503, 'Server is shutting down'));
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stops nginx buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const send = event => {
+    if (!res.writableEnded && canReceive(req.user, event)) res.write(formatEvent(event));
+  };
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = eventsSince(lastEventId);
+    if (missed) missed.forEach(send);
+    else res.write('event: reset\ndata: {}\n\n');
+  }
+
+  const expire = () => res.end('event: expired\ndata: {}\n\n');
+  const expiry = setTimeout(expire, Math.min(Math.max(req.tokenExpiresAt - Date.now(), 0), MAX_TIMEOUT_MS));
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await refreshUser(req.user))) return expire();
+    } catch (err) {
+      logger.error('Stream user check failed', { requestId: req.id, err });
+    }
+    if (!res.writableEnded) res.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+  const unsubscribe = subscribe(send, () => res.end());
+
+  res.on('close', () => {
+    clearTimeout(expiry);
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
@@ -0,0 +1,176 @@
+// routes/sync.js
+// Replays work queued while offline: contact messages from the public site
+// and projects created in the admin panel. Every item carries a clientId
+// made when it was queued, so a batch can be resent after a lost response
+// without saving anything twice. Each item gets its own result:
+//   created   saved by this request
+//   exists    already saved by an earlier attempt; `id` is the stored copy
+//   conflict  the clientId or slug belongs to different content
+//   invalid   failed validation; `errors` says why
+//   quarantined  held for review by the contact form's spam checks
+import express from 'express';
+import Message, { contentHash } from '../models/Message.js';
+import Project, { slugTaken, SLUG_TAKEN } from '../models/Project.js';
+import { audit } from '../middleware/audit.js';
+import { optionalAuth, hasPermission } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { findRecentDuplicate, screenQueuedMessage } from '../middleware/spamGuard.js';
+import { validate, validateFields } from '../middleware/validate.js';
+import { asyncHandler, toHttpError } from '../middleware/errors.js';
+import { ForbiddenError, UnauthorizedError, ValidationError } from '../lib/errors.js';
+import { checkSchedule } from '../schemas/projects.js';
+import { syncSchema, syncMessageFields, syncProjectFields } from '../schemas/sync.js';
+import { notifyNewMessage } from '../notifications/index.js';
+
+const router = express.Router();
+
+const CLIENT_ID_REUSED = 'clientId was already used for different content';
+const HELD_FOR_REVIEW = 'Held for review';
+
+// A client coming back online sends one batch; retries are what this allows for
+const limitSyncByIp = rateLimit({
+  name: 'sync-ip',
+  windowMs: 10 * 60 * 1000,
+  max: 10,
+  keyFrom: req => req.ip
+});
+
+// ==========================
+// Helpers
+// ==========================
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// The clientId as sent, for reporting items that failed validation
+const rawClientId = input => (typeof input?.clientId === 'string' ? input.clientId : null);
+
+// True when every field the client sent matches the stored document. Nested
+// objects are compared field by field, since stored key order may differ.
+function matchesStored(stored, value) {
+  if (isPlainObject(value)) return Object.entries(value).every(([key, nested]) => matchesStored(stored?.[key], nested));
+  return JSON.stringify(stored) === JSON.stringify(value);
+}
+
+// Saves a document, turning a schema validation failure into an `invalid`
+// result. Duplicate key errors are left to the caller.
+async function saveOrReport(clientId, save) {
+  try {
+    return { doc: await save() };
+  } catch (err) {
+    if (err.code === 11000) throw err;
+    const httpError = toHttpError(err);
+    if (!(httpError instanceof ValidationError)) throw err;
+    return { result: { clientId, status: 'invalid', errors: httpError.errors } };
+  }
+}
+
+// ==========================
+// Items
+// ==========================
+// Messages count as the same when sender and text match, as the contact
+// form's duplicate check does. Only new messages go through the spam checks,
+// so resending a batch does not spend the sender's budget again.
+async function syncMessage(req, input) {
+  const { values, errors } = validateFields(syncMessageFields, input);
+  if (errors.length) return { result: { clientId: rawClientId(input), status: 'invalid', errors } };
+
+  const { clientId } = values;
+  const hash = contentHash(values.senderEmail, values.body);
+  const compare = stored =>
+    stored.contentHash === hash
+      ? { result: { clientId, status: 'exists', id: stored._id } }
+      : { result: { clientId, status: 'conflict', id: stored._id, message: CLIENT_ID_REUSED } };
+
+  const stored = await Message.findOne({ clientId }).select('+contentHash');
+  if (stored) return compare(stored);
+
+  // The first attempt may have gone through the contact form, which saves
+  // without a clientId; that copy is claimed so later replays find it directly
+  const duplicate = await findRecentDuplicate(values.senderEmail, values.body);
+  if (duplicate) {
+    if (!duplicate.clientId) await Message.updateOne({ _id: duplicate._id, clientId: null }, { clientId });
+    return { result: { clientId, status: 'exists', id: duplicate._id } };
+  }
+
+  if (await screenQueuedMessage(req, input, values)) {
+    return { result: { clientId, status: 'quarantined', message: HELD_FOR_REVIEW } };
+  }
+
+  try {
+    const { doc, result } = await saveOrReport(clientId, () => Message.createEnquiry(values));
+    return result ? { result } : { result: { clientId, status: 'created', id: doc._id }, created: doc };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // A concurrent retry saved the same clientId first
+    return compare(await Message.findOne({ clientId }).select('+contentHash'));
+  }
+}
+
+// Projects count as the same when every field sent matches. A conflict
+// returns the stored project so the admin panel can replace its local copy.
+async function syncProject(input) {
+  const { values, errors: fieldErrors } = validateFields(syncProjectFields, input);
+  const errors = [...fieldErrors, ...checkSchedule(values.publishAt, values.unpublishAt)];
+  if (errors.length) return { result: { clientId: rawClientId(input), status: 'invalid', errors } };
+
+  const { clientId, ...fields } = values;
+  const compare = stored =>
+    matchesStored(stored.toObject(), fields)
+      ? { result: { clientId, status: 'exists', id: stored._id } }
+      : { result: { clientId, status: 'conflict', id: stored._id, message: CLIENT_ID_REUSED, project: stored } };
+
+  const stored = await Project.findOne({ clientId });
+  if (stored) return compare(stored);
+
+  const slugConflict = { result: { clientId, status: 'conflict', message: SLUG_TAKEN } };
+  if (values.slug && (await slugTaken(values.slug))) return slugConflict;
+
+  try {
+    const { doc, result } = await saveOrReport(clientId, () => new Project(values).save());
+    return result ? { result } : { result: { clientId, status: 'created', id: doc._id } };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // Either a concurrent retry saved this clientId, or another project took the slug
+    const saved = await Project.findOne({ clientId });
+    return saved ? compare(saved) : slugConflict;
+  }
+}
+
+// ==========================
+// Sync
+// ==========================
+// Items are handled in order, so a clientId repeated within a batch resolves
+// against the copy saved moments earlier. Anyone may sync messages; projects
+// need the same permission as creating them directly.
+router.post(
+  '/',
+  limitSyncByIp,
+  optionalAuth,
+  validate(syncSchema),
+  audit('project.sync', Project, {
+    createdIds: body => body?.projects?.filter(item => item.status === 'created').map(item => item.id) ?? []
+  }),
+  asyncHandler(async (req, res) => {
+    const { messages = [], projects = [] } = req.body;
+
+    if (projects.length && !(req.user && hasPermission(req.user, 'projects:create'))) {
+      throw req.user ? new ForbiddenError() : new UnauthorizedError('Signing in is required to sync projects');
+    }
+
+    const report = { messages: [], projects: [] };
+    const newMessages = [];
+
+    for (const input of messages) {
+      const { result, created } = await syncMessage(req, input);
+      report.messages.push(result);
+      if (created) newMessages.push(created);
+    }
+    for (const input of projects) {
+      report.projects.push((await syncProject(input)).result);
+    }
+
+    res.json(report);
+    for (const message of newMessages) notifyNewMessage(message);
+  })
+);
+
+export default router;
@@ -0,0 +1,87 @@
+// routes/users.js
+import crypto from 'crypto';
+import express from 'express';
+import AdminUser from '../models/AdminUser.js';
+import { requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { asyncHandler } from '../middleware/errors.js';
+import { BadRequestError, NotFoundError, ConflictError } from '../lib/errors.js';
+import { userIdSchema, inviteUserSchema, updateUserSchema } from '../schemas/users.js';
+
+const router = express.Router();
+
+router.use(requirePermission('users:manage'));
+
+// Loads the target user for /:id routes, after the id has been validated
+const loadUser = asyncHandler(async (req, res, next) => {
+  req.targetUser = await AdminUser.findById(req.params.id);
+  if (!req.targetUser) throw new NotFoundError('User not found');
+  next();
+});
+
+router.get('/', asyncHandler(async (req, res) => {
+  res.json(await AdminUser.find().sort({ createdAt: -1 }));
+}));
+
+router.get('/:id', validate(userIdSchema), loadUser, (req, res) => {
+  res.json(req.targetUser);
+});
+
+// Invites a staff member. Without a password a temporary one is generated
+// and returned once so the owner can hand it over.
+router.post('/', validate(inviteUserSchema), asyncHandler(async (req, res) => {
+  const { username, name, email, role, password } = req.body;
+
+  const existing = await AdminUser.exists({ username: username.toLowerCase() });
+  if (existing) throw new ConflictError('Username is already taken');
+
+  const temporaryPassword = password ? undefined : crypto.randomBytes(9).toString('base64url');
+  const user = new AdminUser({ username, name, email, role, invitedBy: req.user._id });
+  await user.setPassword(password || temporaryPassword);
+  await user.save();
+
+  res.status(201).json(temporaryPassword ? { user, temporaryPassword } : { user });
+}));
+
+router.patch('/:id', validate(updateUserSchema), loadUser, asyncHandler(async (req, res) => {
+  const { name, email, role, active, password } = req.body;
+  const user = req.targetUser;
+  const isSelf = user._id.equals(req.user._id);
+
+  if (isSelf && ((role !== undefined && role !== user.role) || active === false)) {
+    throw new BadRequestError('You cannot change your own role or deactivate yourself');
+  }
+
+  if (name !== undefined) user.name = name;
+  if (email !== undefined) user.email = email;
+  if (role !== undefined) user.role = role;
+  // A new password signs the user out everywhere, as create-admin does
+  if (password) {
+    await user.setPassword(password);
+    user.tokenVersion += 1;
+  }
+  if (active !== undefined) {
+    if (user.active && !active) user.tokenVersion += 1;
+    user.active = active;
+  }
+
+  await user.save();
+  res.json(user);
+}));
+
+// Staff are deactivated rather than removed so their history stays attributable
+router.delete('/:id', validate(userIdSchema), loadUser, asyncHandler(async (req, res) => {
+  const user = req.targetUser;
+  if (user._id.equals(req.user._id)) {
+    throw new BadRequestError('You cannot deactivate yourself');
+  }
+
+  if (user.active) {
+    user.active = false;
+    user.tokenVersion += 1;
+    await user.save();
+  }
+  res.json({ message: 'User deactivated successfully' });
+}));
+
+export default router;
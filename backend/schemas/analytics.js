@@ -0,0 +1,42 @@
+// schemas/analytics.js
+export const EVENT_TYPES = ['project.view', 'cart.add'];
+export const ENQUIRY_INTERVALS = ['day', 'week'];
+export const TOP_PROJECT_METRICS = ['views', 'addsToCart', 'orders'];
+
+// Sent by the site with navigator.sendBeacon. A view names a project; a
+// cart addition names a project or a pricing plan.
+export const createEventSchema = {
+  body: {
+    type: { type: 'string', required: true, enum: EVENT_TYPES },
+    project: { type: 'objectId' },
+    plan: { type: 'string', maxLength: 100 },
+    // Anonymous per-tab id chosen by the browser, for counting unique visitors
+    sessionId: { type: 'string', maxLength: 64, pattern: /^[\w-]+$/ },
+    path: { type: 'string', maxLength: 2048 }
+  }
+};
+
+// Every report covers [from, to]; the default is the last 30 days
+const rangeQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' }
+};
+
+export const analyticsRangeSchema = {
+  query: rangeQuery
+};
+
+export const enquiryTrendSchema = {
+  query: {
+    ...rangeQuery,
+    interval: { type: 'string', enum: ENQUIRY_INTERVALS, default: 'day' }
+  }
+};
+
+export const topProjectsSchema = {
+  query: {
+    ...rangeQuery,
+    by: { type: 'string', enum: TOP_PROJECT_METRICS, default: 'views' },
+    limit: { type: 'integer', min: 1, max: 50, default: 10 }
+  }
+};
@@ -0,0 +1,16 @@
+// schemas/audit.js
+import { pageQuery } from './common.js';
+
+export const AUDIT_TARGET_TYPES = ['Project', 'Message'];
+
+export const listAuditSchema = {
+  query: {
+    ...pageQuery,
+    actor: { type: 'objectId' },
+    action: { type: 'string', maxLength: 100 },
+    targetType: { type: 'string', enum: AUDIT_TARGET_TYPES },
+    targetId: { type: 'objectId' },
+    from: { type: 'date' },
+    to: { type: 'date' }
+  }
+};
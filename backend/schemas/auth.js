@@ -0,0 +1,13 @@
+// schemas/auth.js
+export const loginSchema = {
+  body: {
+    username: { type: 'string', required: true, maxLength: 100 },
+    password: { type: 'string', required: true, maxLength: 128, trim: false }
+  }
+};
+
+export const refreshSchema = {
+  body: {
+    refreshToken: { type: 'string', required: true }
+  }
+};
@@ -0,0 +1,9 @@
+// schemas/common.js
+export const idParams = {
+  id: { type: 'objectId', required: true }
+};
+
+export const pageQuery = {
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, max: 100, default: 20 }
+};
@@ -0,0 +1,113 @@
+// schemas/messages.js
+import { idParams, pageQuery } from './common.js';
+import { EXPORT_FORMATS } from '../lib/exports.js';
+
+export const MESSAGE_STATUSES = ['unread', 'read', 'resolved'];
+export const HISTORY_SENDERS = ['client', 'admin'];
+export const MESSAGE_SORTS = ['newest', 'oldest', 'relevance'];
+export const BULK_MESSAGE_ACTIONS = ['mark-read', 'mark-unread', 'mark-resolved', 'archive', 'unarchive', 'delete'];
+
+const attachmentFields = {
+  url: { type: 'string', required: true, maxLength: 2048, pattern: /^(https?:\/\/|\/)\S+$/ },
+  name: { type: 'string', maxLength: 255 },
+  contentType: { type: 'string', maxLength: 100 },
+  size: { type: 'integer', min: 0 }
+};
+
+const cartItemFields = {
+  id: { type: 'string', maxLength: 100 },
+  title: { type: 'string', required: true, maxLength: 200 },
+  type: { type: 'string', maxLength: 50 }
+};
+
+export const messageIdSchema = {
+  params: idParams
+};
+
+export const listMessagesSchema = {
+  query: {
+    ...pageQuery,
+    status: { type: 'string', enum: MESSAGE_STATUSES },
+    type: { type: 'string', maxLength: 50 },
+    plan: { type: 'string', maxLength: 100 },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    q: { type: 'string', maxLength: 200 },
+    archived: { type: 'boolean', default: false },
+    sort: { type: 'string', enum: MESSAGE_SORTS, default: 'newest' }
+  }
+};
+
+// Unlike the inbox, exports include archived messages unless told otherwise
+export const exportMessagesSchema = {
+  query: {
+    format: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    status: { type: 'string', enum: MESSAGE_STATUSES },
+    type: { type: 'string', maxLength: 50 },
+    plan: { type: 'string', maxLength: 100 },
+    archived: { type: 'boolean' }
+  }
+};
+
+export const messageCountsSchema = {
+  query: {
+    archived: { type: 'boolean', default: false }
+  }
+};
+
+export const bulkMessagesSchema = {
+  body: {
+    ids: {
+      type: 'array',
+      required: true,
+      minLength: 1,
+      maxLength: 500,
+      items: { type: 'objectId' }
+    },
+    action: { type: 'string', required: true, enum: BULK_MESSAGE_ACTIONS }
+  },
+  rejectUnknown: true
+};
+
+// Status, timestamp and history are server-controlled, so they are
+// dropped from public submissions.
+export const createMessageSchema = {
+  body: {
+    senderName: { type: 'string', required: true, maxLength: 200 },
+    senderEmail: { type: 'string', required: true, format: 'email', maxLength: 254 },
+    senderPhone: { type: 'string', maxLength: 50 },
+    senderAddress: { type: 'string', maxLength: 500 },
+    subject: { type: 'string', maxLength: 200 },
+    plan: { type: 'string', maxLength: 100 },
+    items: {
+      type: 'array',
+      maxLength: 50,
+      items: { type: 'object', fields: cartItemFields }
+    },
+    body: { type: 'string', required: true, maxLength: 10000 },
+    type: { type: 'string', maxLength: 50 }
+  }
+};
+
+export const updateMessageSchema = {
+  params: idParams,
+  body: {
+    status: { type: 'string', required: true, enum: MESSAGE_STATUSES }
+  },
+  rejectUnknown: true
+};
+
+export const replyMessageSchema = {
+  params: idParams,
+  body: {
+    text: { type: 'string', required: true, maxLength: 10000 },
+    attachments: {
+      type: 'array',
+      maxLength: 10,
+      items: { type: 'object', fields: attachmentFields }
+    }
+  },
+  rejectUnknown: true
+};
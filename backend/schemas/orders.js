@@ -0,0 +1,74 @@
+// schemas/orders.js
+import { idParams, pageQuery } from './common.js';
+
+export const ORDER_STATUSES = ['requested', 'quoted', 'accepted', 'in-progress', 'delivered', 'cancelled'];
+
+const customerFields = {
+  name: { type: 'string', required: true, maxLength: 200 },
+  email: { type: 'string', required: true, format: 'email', maxLength: 254 },
+  phone: { type: 'string', maxLength: 50 },
+  address: { type: 'string', maxLength: 500 }
+};
+
+const lineItemFields = {
+  project: { type: 'objectId' },
+  description: { type: 'string', required: true, maxLength: 200 },
+  quantity: { type: 'integer', min: 1, default: 1 },
+  unitPrice: { type: 'number', required: true, min: 0 }
+};
+
+const quoteFields = {
+  plan: { type: 'string', maxLength: 100 },
+  items: {
+    type: 'array',
+    maxLength: 50,
+    items: { type: 'object', fields: lineItemFields }
+  },
+  currency: { type: 'string', pattern: /^[A-Z]{3}$/ },
+  discount: { type: 'number', min: 0 },
+  notes: { type: 'string', maxLength: 5000 },
+  validUntil: { type: 'date' }
+};
+
+export const orderIdSchema = {
+  params: idParams
+};
+
+export const listOrdersSchema = {
+  query: {
+    ...pageQuery,
+    status: { type: 'string', enum: ORDER_STATUSES }
+  }
+};
+
+export const createOrderSchema = {
+  body: {
+    customer: { type: 'object', required: true, fields: customerFields },
+    ...quoteFields
+  },
+  rejectUnknown: true
+};
+
+export const orderFromMessageSchema = {
+  params: {
+    messageId: { type: 'objectId', required: true }
+  }
+};
+
+export const updateOrderSchema = {
+  params: idParams,
+  body: {
+    customer: { type: 'object', fields: customerFields },
+    ...quoteFields
+  },
+  rejectUnknown: true
+};
+
+export const orderStatusSchema = {
+  params: idParams,
+  body: {
+    status: { type: 'string', required: true, enum: ORDER_STATUSES },
+    note: { type: 'string', maxLength: 1000 }
+  },
+  rejectUnknown: true
+};
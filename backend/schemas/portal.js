@@ -0,0 +1,26 @@
+// schemas/portal.js
+import { idParams } from './common.js';
+
+export const magicLinkSchema = {
+  body: {
+    email: { type: 'string', required: true, format: 'email', maxLength: 254 }
+  }
+};
+
+export const portalSessionSchema = {
+  body: {
+    token: { type: 'string', required: true }
+  }
+};
+
+export const portalMessageIdSchema = {
+  params: idParams
+};
+
+export const portalReplySchema = {
+  params: idParams,
+  body: {
+    text: { type: 'string', required: true, maxLength: 10000 }
+  },
+  rejectUnknown: true
+};
@@ -0,0 +1,113 @@
+// schemas/projects.js
+import { idParams, pageQuery } from './common.js';
+import { SLUG_PATTERN, SLUG_MAX_LENGTH } from '../lib/slugs.js';
+import { EXPORT_FORMATS } from '../lib/exports.js';
+
+export const PROJECT_TYPES = ['Template', 'Dashboard'];
+export const PROJECT_SORTS = ['newest', 'oldest', 'rating', 'relevance'];
+export const PROJECT_STATUSES = ['draft', 'published', 'archived'];
+
+const publishingFields = {
+  status: { type: 'string', required: true, enum: PROJECT_STATUSES },
+  publishAt: { type: 'date' },
+  unpublishAt: { type: 'date' }
+};
+
+const slugRule = { type: 'string', maxLength: SLUG_MAX_LENGTH, pattern: SLUG_PATTERN };
+const imageUrlRule = { type: 'string', maxLength: 2048, pattern: /^(https?:\/\/|\/)\S+$/ };
+
+const projectFields = {
+  title: { type: 'string', required: true, maxLength: 200 },
+  // Generated from the title when omitted on create
+  slug: slugRule,
+  category: { type: 'string', maxLength: 100 },
+  // Images are uploaded separately; only a URL is accepted here
+  image: imageUrlRule,
+  type: { type: 'string', enum: PROJECT_TYPES },
+  language: { type: 'string', maxLength: 50 },
+  rating: { type: 'number', min: 0, max: 5 },
+  description: { type: 'string', required: true, maxLength: 5000 },
+  seo: {
+    type: 'object',
+    fields: {
+      title: { type: 'string', maxLength: 70 },
+      description: { type: 'string', maxLength: 300 },
+      image: imageUrlRule
+    }
+  }
+};
+
+export const listProjectsSchema = {
+  query: {
+    ...pageQuery,
+    limit: { ...pageQuery.limit, default: 12 },
+    category: { type: 'string', maxLength: 100 },
+    type: { type: 'string', enum: PROJECT_TYPES },
+    language: { type: 'string', maxLength: 50 },
+    minRating: { type: 'number', min: 0, max: 5 },
+    q: { type: 'string', maxLength: 200 },
+    sort: { type: 'string', enum: PROJECT_SORTS, default: 'newest' },
+    // Only honoured for signed-in staff; the public only ever sees live projects
+    status: { type: 'string', enum: PROJECT_STATUSES }
+  }
+};
+
+export const projectTrashSchema = {
+  query: pageQuery
+};
+
+// Cross-field check for a validated schedule, in validator error form
+export const checkSchedule = (publishAt, unpublishAt) =>
+  publishAt && unpublishAt && unpublishAt <= publishAt
+    ? [{ field: 'unpublishAt', location: 'body', message: 'unpublishAt must be after publishAt' }]
+    : [];
+
+// New projects start as drafts unless published explicitly
+export const createProjectSchema = {
+  body: {
+    ...projectFields,
+    ...publishingFields,
+    status: { ...publishingFields.status, required: false, default: 'draft' }
+  }
+};
+
+export const updateProjectSchema = {
+  params: idParams,
+  body: projectFields
+};
+
+export const projectIdSchema = {
+  params: idParams
+};
+
+export const projectSlugSchema = {
+  params: {
+    slug: { ...slugRule, required: true }
+  }
+};
+
+// Replaces the publishing settings: an omitted date clears that schedule
+export const projectStatusSchema = {
+  params: idParams,
+  body: publishingFields,
+  rejectUnknown: true
+};
+
+export const exportProjectsSchema = {
+  query: {
+    format: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' },
+    status: { type: 'string', enum: PROJECT_STATUSES },
+    category: { type: 'string', maxLength: 100 },
+    type: { type: 'string', enum: PROJECT_TYPES }
+  }
+};
+
+// Rows are sent as a JSON array or as CSV with a header row; each row takes
+// the same fields as a create
+export const importProjectsSchema = {
+  query: {
+    dryRun: { type: 'boolean', default: false }
+  }
+};
+
+export const importProjectFields = createProjectSchema.body;
@@ -0,0 +1,17 @@
+// schemas/quarantine.js
+import { idParams, pageQuery } from './common.js';
+
+export const QUARANTINE_REASONS = ['rate-limit-ip', 'rate-limit-email', 'honeypot', 'too-fast', 'duplicate'];
+export const QUARANTINE_STATUSES = ['pending', 'released', 'discarded'];
+
+export const listQuarantineSchema = {
+  query: {
+    ...pageQuery,
+    status: { type: 'string', enum: QUARANTINE_STATUSES, default: 'pending' },
+    reason: { type: 'string', enum: QUARANTINE_REASONS }
+  }
+};
+
+export const quarantineIdSchema = {
+  params: idParams
+};
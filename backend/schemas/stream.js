@@ -0,0 +1,9 @@
+// schemas/stream.js
+// EventSource cannot send headers, so browsers pass the access token in the
+// query string. lastEventId is for polyfills that cannot set Last-Event-ID.
+export const streamSchema = {
+  query: {
+    token: { type: 'string', maxLength: 2048 },
+    lastEventId: { type: 'string', maxLength: 100 }
+  }
+};
@@ -0,0 +1,26 @@
+// schemas/sync.js
+import { createMessageSchema } from './messages.js';
+import { createProjectSchema } from './projects.js';
+
+// Generated by the client when an item is queued, e.g. a UUID
+const clientIdRule = { type: 'string', required: true, maxLength: 100, pattern: /^[\w-]+$/ };
+
+// Items are checked one by one so a bad item is reported on its own
+// instead of failing the whole batch
+export const syncSchema = {
+  body: {
+    messages: { type: 'array', maxLength: 20, items: { type: 'object' } },
+    projects: { type: 'array', maxLength: 100, items: { type: 'object' } }
+  },
+  rejectUnknown: true
+};
+
+export const syncMessageFields = {
+  clientId: clientIdRule,
+  ...createMessageSchema.body
+};
+
+export const syncProjectFields = {
+  clientId: clientIdRule,
+  ...createProjectSchema.body
+};
@@ -0,0 +1,30 @@
+// schemas/users.js
+import { ROLES } from '../models/AdminUser.js';
+import { idParams } from './common.js';
+
+export const userIdSchema = {
+  params: idParams
+};
+
+export const inviteUserSchema = {
+  body: {
+    username: { type: 'string', required: true, minLength: 3, maxLength: 50, pattern: /^[a-z0-9._-]+$/i },
+    name: { type: 'string', maxLength: 100 },
+    email: { type: 'string', format: 'email', maxLength: 254 },
+    role: { type: 'string', enum: ROLES, default: 'support' },
+    password: { type: 'string', minLength: 8, maxLength: 128, trim: false }
+  },
+  rejectUnknown: true
+};
+
+export const updateUserSchema = {
+  params: idParams,
+  body: {
+    name: { type: 'string', maxLength: 100 },
+    email: { type: 'string', format: 'email', maxLength: 254 },
+    role: { type: 'string', enum: ROLES },
+    active: { type: 'boolean' },
+    password: { type: 'string', minLength: 8, maxLength: 128, trim: false }
+  },
+  rejectUnknown: true
+};
@@ -0,0 +1,39 @@
+// scripts/backfill-project-slugs.js
+// Usage: npm run migrate:slugs [-- --dry-run]
+// Gives projects saved before slugs existed a unique slug from their title.
+import Project from '../models/Project.js';
+import { runScript } from './runScript.js';
+
+async function backfillSlugs() {
+  const dryRun = process.argv.includes('--dry-run');
+  const counts = { updated: 0, failed: 0 };
+
+  // Oldest first, so the original project keeps the plain slug
+  const cursor = Project.find({ slug: null }).select('_id title').sort({ createdAt: 1 }).lean().cursor();
+
+  for await (const project of cursor) {
+    const label = `${project._id} (${project.title || 'untitled'})`;
+
+    try {
+      const slug = await Project.uniqueSlug(project.title, project._id);
+      if (!dryRun) {
+        // updateOne skips validation, so older documents missing newly
+        // required fields are still updated
+        await Project.updateOne({ _id: project._id }, { $set: { slug } });
+      }
+      console.log(`${dryRun ? 'Would set' : 'Set'} ${label} → ${slug}`);
+      counts.updated += 1;
+    } catch (err) {
+      console.error(`❌ Failed to set slug for ${label}:`, err.message);
+      counts.failed += 1;
+    }
+  }
+
+  console.log(
+    `✅ ${dryRun ? 'Dry run complete' : 'Backfill complete'}: ` +
+      `${counts.updated} updated, ${counts.failed} failed`
+  );
+  if (counts.failed) process.exitCode = 1;
+}
+
+runScript('Slug backfill', backfillSlugs);
@@ -0,0 +1,29 @@
+// scripts/create-admin.js
+// Usage: npm run create-admin -- <username> <password>
+// Creates an owner account, or resets the password (and restores owner
+// access) if the user already exists.
+import AdminUser from '../models/AdminUser.js';
+import { runScript } from './runScript.js';
+
+const [username, password] = process.argv.slice(2);
+
+if (!username || !password) {
+  console.error('❌ Usage: npm run create-admin -- <username> <password>');
+  process.exitCode = 1;
+} else {
+  runScript('Create admin', async () => {
+    const user =
+      (await AdminUser.findOne({ username: username.toLowerCase() })) ||
+      new AdminUser({ username });
+    const isNew = user.isNew;
+
+    await user.setPassword(password);
+    user.role = 'owner';
+    user.active = true;
+    // Resetting a password also signs the user out everywhere
+    if (!isNew) user.tokenVersion += 1;
+    await user.save();
+
+    console.log(`✅ Admin user "${user.username}" ${isNew ? 'created' : 'updated'}`);
+  });
+}
@@ -0,0 +1,59 @@
+// scripts/migrate-base64-images.js
+// Usage: npm run migrate:images [-- --dry-run]
+// Moves base64 `data:` images stored inline on Project documents into the
+// configured storage backend and replaces them with their URLs.
+import Project from '../models/Project.js';
+import { storeProjectImage } from '../lib/images.js';
+import { runScript } from './runScript.js';
+
+const DATA_URI_PATTERN = /^data:image\/[\w.+-]+;base64,(.+)$/s;
+
+async function migrateImages() {
+  const dryRun = process.argv.includes('--dry-run');
+  const counts = { migrated: 0, skipped: 0, failed: 0 };
+
+  const cursor = Project.find({ image: /^data:/ }).select('_id title image').lean().cursor();
+
+  for await (const project of cursor) {
+    const match = DATA_URI_PATTERN.exec(project.image);
+    const label = `${project._id} (${project.title || 'untitled'})`;
+
+    if (!match) {
+      console.warn(`⚠️  Skipping ${label}: not a base64 image`);
+      counts.skipped += 1;
+      continue;
+    }
+
+    if (dryRun) {
+      console.log(`Would migrate ${label}`);
+      counts.migrated += 1;
+      continue;
+    }
+
+    try {
+      const stored = await storeProjectImage(Buffer.from(match[1], 'base64'));
+      if (!stored) {
+        console.warn(`⚠️  Skipping ${label}: image could not be decoded`);
+        counts.skipped += 1;
+        continue;
+      }
+
+      // updateOne skips validation, so older documents missing newly
+      // required fields are still migrated
+      await Project.updateOne({ _id: project._id }, { $set: stored });
+      console.log(`Migrated ${label} → ${stored.image}`);
+      counts.migrated += 1;
+    } catch (err) {
+      console.error(`❌ Failed to migrate ${label}:`, err.message);
+      counts.failed += 1;
+    }
+  }
+
+  console.log(
+    `✅ ${dryRun ? 'Dry run complete' : 'Migration complete'}: ` +
+      `${counts.migrated} migrated, ${counts.skipped} skipped, ${counts.failed} failed`
+  );
+  if (counts.failed) process.exitCode = 1;
+}
+
+runScript('Image migration', migrateImages);
@@ -0,0 +1,26 @@
+// scripts/runScript.js
+// Shared setup for the maintenance scripts: loads the settings, connects to
+// Mongo, runs `main` and always disconnects. Scripts only need the database,
+// so the settings the server alone uses (JWT_SECRET, CORS_ORIGINS…) may be
+// unset. Any failure sets a non-zero exit code.
+import mongoose from 'mongoose';
+import { loadConfigFor, ConfigError } from '../lib/config.js';
+import { logger } from '../lib/logger.js';
+
+export async function runScript(label, main) {
+  try {
+    const { mongoUri } = loadConfigFor(['mongoUri']);
+
+    await mongoose.connect(mongoUri, {
+      serverSelectionTimeoutMS: 10000
+    });
+
+    await main();
+  } catch (error) {
+    if (error instanceof ConfigError) logger.error('Invalid configuration', { problems: error.problems });
+    else console.error(`❌ ${label} failed:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
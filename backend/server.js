@@ -1,220 +1,124 @@
 // server.js
-import express from 'express';
+// Entry point: connects to Mongo and starts the HTTP server
 import mongoose from 'mongoose';
-import cors from 'cors';
-import bodyParser from 'body-parser';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { createApp } from './app.js';
+import { getConfig, ConfigError } from './lib/config.js';
+import { markShuttingDown, isShuttingDown } from './lib/health.js';
+import { logger } from './lib/logger.js';
+import { startLiveEvents, stopLiveEvents } from './lib/liveEvents.js';
+import { startEmailWorker, stopEmailWorker } from './notifications/index.js';
+
+// ==========================
+// Config
+// ==========================
+// Loads .env and checks every setting up front, listing all that are wrong
+let config;
+try {
+  config = getConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  logger.error('Invalid configuration', { problems: error.problems });
+  process.exit(1);
+}
 
-// ==========================
-// App & Paths
-// ==========================
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const { port, mongoUri, startupMaxAttempts, shutdownTimeoutMs } = config;
 
-const app = express();
-const PORT = process.env.PORT || 5000;
-const MONGODB_URI = process.env.MONGODB_URI;
+const app = createApp({ db: mongoose.connection, config });
 
 // ==========================
-// Middleware
+// MongoDB Events (Debug)
 // ==========================
-app.use(
-  cors({
-    origin: '*',
-    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization']
-  })
-);
+mongoose.connection.on('connected', () => logger.info('MongoDB connected'));
 
-app.use(bodyParser.json({ limit: '50mb' }));
-app.use(bodyParser.urlencoded({ limit: '50mb', extended: true }));
+mongoose.connection.on('error', err => logger.error('MongoDB error', { err }));
 
-// ==========================
-// MongoDB Schemas
-// ==========================
-const ProjectSchema = new mongoose.Schema(
-  {
-    title: String,
-    category: String,
-    image: String,
-    type: {
-      type: String,
-      enum: ['Template', 'Dashboard'],
-      default: 'Template'
-    },
-    language: String,
-    rating: Number,
-    description: String,
-    createdAt: { type: Date, default: Date.now }
-  },
-  { versionKey: false }
-);
-
-const MessageSchema = new mongoose.Schema(
-  {
-    senderName: String,
-    senderEmail: String,
-    senderPhone: String,
-    senderAddress: String,
-    subject: String,
-    plan: String,
-    body: String,
-    timestamp: { type: Date, default: Date.now },
-    status: {
-      type: String,
-      enum: ['unread', 'read', 'resolved'],
-      default: 'unread'
-    },
-    type: { type: String, default: 'portal' },
-    history: Array
-  },
-  { versionKey: false }
-);
-
-const Project = mongoose.model('Project', ProjectSchema);
-const Message = mongoose.model('Message', MessageSchema);
+mongoose.connection.on('disconnected', () => logger.warn('MongoDB disconnected'));
 
 // ==========================
-// Serve Frontend (React build)
+// Start Server
 // ==========================
-const distPath = path.join(__dirname, 'dist');
-app.use(express.static(distPath));
+let server = null;
 
-// ==========================
-// API Routes - Projects
-// ==========================
-app.get('/api/projects', async (req, res) => {
-  try {
-    const projects = await Project.find().sort({ createdAt: -1 });
-    res.json(projects);
-  } catch (err) {
-    console.error('Projects fetch error:', err.message);
-    res.status(500).json({ message: 'Failed to fetch projects' });
-  }
-});
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-app.post('/api/projects', async (req, res) => {
-  try {
-    const saved = await new Project(req.body).save();
-    res.status(201).json(saved);
-  } catch (err) {
-    console.error('Project save error:', err.message);
-    res.status(400).json({ message: 'Failed to save project' });
-  }
-});
+// Retries the initial connection with exponential backoff (1s, 2s, 4s… up
+// to 30s). Once connected, Mongoose handles reconnects itself.
+async function connectWithRetry() {
+  for (let attempt = 1; ; attempt += 1) {
+    if (isShuttingDown()) throw new Error('Shutting down');
 
-app.put('/api/projects/:id', async (req, res) => {
-  try {
-    const updated = await Project.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
-    if (!updated) return res.status(404).json({ message: 'Project not found' });
-    res.json(updated);
-  } catch (err) {
-    console.error('Project update error:', err.message);
-    res.status(400).json({ message: 'Failed to update project' });
-  }
-});
+    try {
+      await mongoose.connect(mongoUri, {
+        serverSelectionTimeoutMS: 10000
+      });
+      return;
+    } catch (error) {
+      if (isShuttingDown()) throw error;
+      if (startupMaxAttempts && attempt >= startupMaxAttempts) {
+        throw new Error(`MongoDB unreachable after ${attempt} attempts: ${error.message}`);
+      }
 
-app.delete('/api/projects/:id', async (req, res) => {
-  try {
-    const deleted = await Project.findByIdAndDelete(req.params.id);
-    if (!deleted) return res.status(404).json({ message: 'Project not found' });
-    res.json({ message: 'Project deleted successfully' });
-  } catch (err) {
-    console.error('Project delete error:', err.message);
-    res.status(500).json({ message: 'Failed to delete project' });
+      const delay = Math.min(1000 * 2 ** (attempt - 1), 30000);
+      logger.warn('MongoDB connection attempt failed', { attempt, retryInMs: delay, error: error.message });
+      await sleep(delay);
+    }
   }
-});
+}
 
-// ==========================
-// API Routes - Messages
-// ==========================
-app.get('/api/messages', async (req, res) => {
+// The server listens straight away so /healthz answers during startup;
+// /readyz reports unavailable until Mongo is connected.
+async function startServer() {
   try {
-    const messages = await Message.find().sort({ timestamp: -1 });
-    res.json(messages);
-  } catch (err) {
-    console.error('Messages fetch error:', err.message);
-    res.status(500).json({ message: 'Failed to fetch messages' });
-  }
-});
+    server = app.listen(port, '0.0.0.0', () => {
+      logger.info('Server listening', { port, env: config.env });
+    });
 
-app.post('/api/messages', async (req, res) => {
-  try {
-    const saved = await new Message(req.body).save();
-    res.status(201).json(saved);
-  } catch (err) {
-    console.error('Message save error:', err.message);
-    res.status(400).json({ message: 'Failed to save message' });
-  }
-});
+    await connectWithRetry();
+    logger.info('MongoDB connection successful');
 
-app.patch('/api/messages/:id', async (req, res) => {
-  try {
-    const updated = await Message.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
-    );
-    res.json(updated);
-  } catch (err) {
-    console.error('Message update error:', err.message);
-    res.status(400).json({ message: 'Failed to update message' });
+    startEmailWorker();
+    // Not fatal: without change streams the models publish their own writes
+    await startLiveEvents(mongoose.connection).catch(err => logger.error('Live events failed to start', { err }));
+  } catch (error) {
+    if (isShuttingDown()) return;
+    logger.error('Server startup failed', { err: error });
+    process.exit(1);
   }
-});
-
-// ==========================
-// React Router Fallback
-// ==========================
-app.get('*', (req, res) => {
-  res.sendFile(path.join(distPath, 'index.html'));
-});
-
-// ==========================
-// MongoDB Events (Debug)
-// ==========================
-mongoose.connection.on('connected', () =>
-  console.log('🟢 MongoDB connected')
-);
+}
 
-mongoose.connection.on('error', err =>
-  console.error('🔴 MongoDB error:', err.message)
-);
+// Ends live event streams, stops taking new connections, lets in-flight
+// requests and email sends finish, then closes Mongo. Exits anyway after
+// shutdownTimeoutMs.
+async function shutdown(signal) {
+  if (isShuttingDown()) return;
+  markShuttingDown();
+  logger.info('Shutting down', { signal });
 
-mongoose.connection.on('disconnected', () =>
-  console.log('🟠 MongoDB disconnected')
-);
+  setTimeout(() => {
+    logger.error('Shutdown timed out, exiting', { timeoutMs: shutdownTimeoutMs });
+    process.exit(1);
+  }, shutdownTimeoutMs).unref();
 
-// ==========================
-// Start Server (STRICT MODE)
-// ==========================
-async function startServer() {
   try {
-    if (!MONGODB_URI) {
-      throw new Error('MONGODB_URI is not defined');
+    // Open event streams would otherwise keep the server from closing
+    await stopLiveEvents();
+    if (server) {
+      await new Promise((resolve, reject) => {
+        server.close(err => (err ? reject(err) : resolve()));
+        server.closeIdleConnections();
+      });
     }
-
-    await mongoose.connect(MONGODB_URI, {
-      serverSelectionTimeoutMS: 10000
-    });
-
-    console.log('✅ MongoDB connection successful');
-
-    app.listen(PORT, '0.0.0.0', () => {
-      console.log(`🚀 Server running on port ${PORT}`);
-    });
-
+    await stopEmailWorker();
+    await mongoose.connection.close();
+    logger.info('Shutdown complete');
+    process.exit(0);
   } catch (error) {
-    console.error('❌ Server startup failed:', error.message);
+    logger.error('Shutdown failed', { err: error });
     process.exit(1);
   }
 }
 
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 startServer();
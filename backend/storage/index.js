@@ -0,0 +1,24 @@
+// storage/index.js
+import { getConfig } from '../lib/config.js';
+import { createLocalStorage } from './local.js';
+import { createS3Storage } from './s3.js';
+
+let storage;
+
+// Storage backends expose `put(key, buffer, contentType) => url` and
+// `remove(key)`. The backend is picked by STORAGE_DRIVER on first use.
+export function getStorage() {
+  if (storage) return storage;
+
+  const { driver, uploadDir, s3 } = getConfig().storage;
+
+  if (driver === 'local') {
+    storage = createLocalStorage({ rootDir: uploadDir });
+  } else if (driver === 's3') {
+    storage = createS3Storage(s3);
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+  }
+
+  return storage;
+}
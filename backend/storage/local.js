@@ -0,0 +1,30 @@
+// storage/local.js
+import fs from 'fs/promises';
+import path from 'path';
+
+// Stores files under `rootDir`; the app serves that directory at `publicPath`
+export function createLocalStorage({ rootDir, publicPath = '/uploads' }) {
+  const resolve = key => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    rootDir,
+    publicPath,
+
+    async put(key, buffer) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${publicPath}/${key}`;
+    },
+
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    }
+  };
+}
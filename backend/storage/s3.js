@@ -0,0 +1,46 @@
+// storage/s3.js
+import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+// Works against AWS S3 or any S3-compatible server such as MinIO. Path-style
+// addressing is used so a local MinIO endpoint needs no DNS setup.
+export function createS3Storage({
+  endpoint,
+  region = 'us-east-1',
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl
+}) {
+  if (!bucket) throw new Error('S3_BUCKET is not defined');
+
+  const client = new S3Client({
+    endpoint,
+    region,
+    forcePathStyle: Boolean(endpoint),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const defaultUrl = endpoint
+    ? `${endpoint.replace(/\/+$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`;
+  const baseUrl = (publicUrl || defaultUrl).replace(/\/+$/, '');
+
+  return {
+    async put(key, buffer, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+          CacheControl: 'public, max-age=31536000, immutable'
+        })
+      );
+      return `${baseUrl}/${key}`;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
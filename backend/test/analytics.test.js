@@ -0,0 +1,242 @@
+// test/analytics.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import AnalyticsEvent from '../models/AnalyticsEvent.js';
+import Message from '../models/Message.js';
+import Order from '../models/Order.js';
+import Project from '../models/Project.js';
+import { startTestApp, stopTestApp, clearDatabase, createStaff, missingId } from './helpers.js';
+
+let api;
+let support;
+
+const seedProject = (overrides = {}) =>
+  Project.create({ title: 'Analytics Dashboard', description: 'Charts.', category: 'Finance', ...overrides });
+
+const seedMessage = (overrides = {}) =>
+  Message.createEnquiry({
+    senderName: 'Asha Client',
+    senderEmail: 'asha@example.com',
+    subject: 'Quote request',
+    body: `Please send a quote (${Math.random()}).`,
+    ...overrides
+  });
+
+const seedOrder = (overrides = {}) =>
+  Order.create({
+    customer: { name: 'Asha Client', email: 'asha@example.com' },
+    items: [{ description: 'Website', unitPrice: 1000 }],
+    ...overrides
+  });
+
+const seedEvents = (count, fields) =>
+  AnalyticsEvent.insertMany(Array.from({ length: count }, () => ({ timestamp: new Date(), ...fields })));
+
+const report = path => api.get(`/api/analytics${path}`).set('Authorization', support.auth);
+
+before(async () => {
+  api = await startTestApp();
+});
+
+after(stopTestApp);
+
+beforeEach(async () => {
+  await clearDatabase();
+  support = await createStaff('support');
+});
+
+describe('POST /api/events', () => {
+  it('records a project view sent as a text/plain beacon', async () => {
+    const project = await seedProject();
+
+    await api
+      .post('/api/events')
+      .set('Content-Type', 'text/plain')
+      .send(JSON.stringify({ type: 'project.view', project: project.id, sessionId: 'tab-1' }))
+      .expect(204);
+
+    const event = await AnalyticsEvent.findOne();
+    assert.equal(event.type, 'project.view');
+    assert.equal(String(event.project), project.id);
+    assert.equal(event.sessionId, 'tab-1');
+  });
+
+  it('records a plan added to the cart', async () => {
+    await api.post('/api/events').send({ type: 'cart.add', plan: 'Growth Plan' }).expect(204);
+
+    assert.equal(await AnalyticsEvent.countDocuments({ plan: 'Growth Plan' }), 1);
+  });
+
+  it('refuses beacons over 4kb whatever their content type', async () => {
+    const event = JSON.stringify({ type: 'cart.add', plan: 'x'.repeat(5000) });
+
+    await api.post('/api/events').set('Content-Type', 'application/json').send(event).expect(413);
+    await api.post('/api/events').set('Content-Type', 'text/plain').send(event).expect(413);
+    await api.post('/API/EVENTS').set('Content-Type', 'application/json').send(event).expect(413);
+  });
+
+  it('rejects unknown types, missing projects and deleted projects', async () => {
+    const trashed = await seedProject({ deletedAt: new Date() });
+
+    await api.post('/api/events').send({ type: 'page.scroll' }).expect(422);
+    await api.post('/api/events').send({ type: 'project.view' }).expect(422);
+    await api.post('/api/events').send({ type: 'cart.add' }).expect(422);
+    await api.post('/api/events').send({ type: 'project.view', project: missingId() }).expect(404);
+    await api.post('/api/events').send({ type: 'project.view', project: trashed.id }).expect(404);
+
+    assert.equal(await AnalyticsEvent.countDocuments(), 0);
+  });
+});
+
+describe('GET /api/analytics/enquiries', () => {
+  it('counts enquiries per day, including empty days', async () => {
+    await seedMessage({ timestamp: new Date('2024-05-01T09:00:00Z') });
+    await seedMessage({ timestamp: new Date('2024-05-01T17:00:00Z') });
+    await seedMessage({ timestamp: new Date('2024-05-03T12:00:00Z') });
+
+    const res = await report('/enquiries?from=2024-05-01&to=2024-05-03T23:59:59Z').expect(200);
+
+    assert.equal(res.body.total, 3);
+    assert.deepEqual(
+      res.body.buckets.map(bucket => [bucket.start.slice(0, 10), bucket.count]),
+      [
+        ['2024-05-01', 2],
+        ['2024-05-02', 0],
+        ['2024-05-03', 1]
+      ]
+    );
+  });
+
+  it('groups by ISO week', async () => {
+    // Wednesday and the following Sunday fall in the week of Monday 6 May
+    await seedMessage({ timestamp: new Date('2024-05-08T12:00:00Z') });
+    await seedMessage({ timestamp: new Date('2024-05-12T12:00:00Z') });
+    await seedMessage({ timestamp: new Date('2024-05-13T12:00:00Z') });
+
+    const res = await report('/enquiries?interval=week&from=2024-05-06&to=2024-05-19').expect(200);
+
+    assert.deepEqual(
+      res.body.buckets.map(bucket => [bucket.start.slice(0, 10), bucket.count]),
+      [
+        ['2024-05-06', 2],
+        ['2024-05-13', 1]
+      ]
+    );
+  });
+
+  it('rejects an inverted or oversized range', async () => {
+    await report('/enquiries?from=2024-05-10&to=2024-05-01').expect(422);
+    await report('/enquiries?from=2020-01-01&to=2024-01-01').expect(422);
+  });
+
+  it('requires the analytics permission', async () => {
+    await api.get('/api/analytics/enquiries').expect(401);
+  });
+});
+
+describe('GET /api/analytics/conversion', () => {
+  it('reports enquiries, orders and accepted orders per plan', async () => {
+    const [won, quoted] = await Promise.all([
+      seedMessage({ plan: 'Growth Plan' }),
+      seedMessage({ plan: 'Growth Plan' }),
+      seedMessage({ plan: 'Growth Plan' }),
+      seedMessage({ plan: 'Starter Plan' })
+    ]);
+    await seedOrder({ message: won._id, plan: 'Growth Plan', status: 'accepted' });
+    await seedOrder({ message: quoted._id, plan: 'Growth Plan', status: 'quoted' });
+
+    const res = await report('/conversion').expect(200);
+
+    assert.deepEqual(res.body.plans[0], {
+      plan: 'Growth Plan',
+      enquiries: 3,
+      orders: 2,
+      won: 1,
+      revenue: 1000,
+      conversionRate: 0.3333
+    });
+    assert.equal(res.body.totals.enquiries, 4);
+    assert.equal(res.body.totals.conversionRate, 0.25);
+  });
+});
+
+describe('GET /api/analytics/resolution', () => {
+  it('averages the time to resolve', async () => {
+    const now = Date.now();
+    await seedMessage({ status: 'resolved', timestamp: new Date(now - 2 * 3600000), resolvedAt: new Date(now) });
+    await seedMessage({ status: 'resolved', timestamp: new Date(now - 4 * 3600000), resolvedAt: new Date(now) });
+    await seedMessage();
+
+    const res = await report('/resolution').expect(200);
+
+    assert.equal(res.body.resolved, 2);
+    assert.equal(res.body.averageMs, 3 * 3600000);
+    assert.equal(res.body.fastestMs, 2 * 3600000);
+  });
+
+  it('reports null when nothing was resolved', async () => {
+    const res = await report('/resolution').expect(200);
+
+    assert.equal(res.body.resolved, 0);
+    assert.equal(res.body.averageMs, null);
+  });
+});
+
+describe('GET /api/analytics/projects/top', () => {
+  it('ranks projects by views with their other metrics', async () => {
+    const [popular, quiet] = await Promise.all([
+      seedProject({ title: 'Popular' }),
+      seedProject({ title: 'Quiet' })
+    ]);
+    await seedEvents(3, { type: 'project.view', project: popular._id });
+    await seedEvents(1, { type: 'project.view', project: quiet._id });
+    await seedEvents(2, { type: 'cart.add', project: quiet._id });
+    await seedOrder({ items: [{ project: quiet._id, description: 'Quiet', unitPrice: 500 }] });
+
+    const res = await report('/projects/top').expect(200);
+
+    assert.deepEqual(
+      res.body.items.map(item => [item.project.title, item.views, item.addsToCart, item.orders]),
+      [
+        ['Popular', 3, 0, 0],
+        ['Quiet', 1, 2, 1]
+      ]
+    );
+  });
+
+  it('ranks by orders, leaving out cancelled ones', async () => {
+    const [ordered, cancelled] = await Promise.all([
+      seedProject({ title: 'Ordered' }),
+      seedProject({ title: 'Cancelled' })
+    ]);
+    await seedOrder({ items: [{ project: ordered._id, description: 'Ordered', unitPrice: 500 }] });
+    await seedOrder({
+      status: 'cancelled',
+      items: [{ project: cancelled._id, description: 'Cancelled', unitPrice: 500 }]
+    });
+
+    const res = await report('/projects/top?by=orders').expect(200);
+
+    assert.deepEqual(res.body.items.map(item => [item.project.title, item.orders]), [['Ordered', 1]]);
+  });
+});
+
+describe('GET /api/analytics/projects/breakdown', () => {
+  it('groups engagement by category and type', async () => {
+    const [finance, health] = await Promise.all([
+      seedProject({ title: 'Ledger', category: 'Finance', type: 'Dashboard' }),
+      seedProject({ title: 'Clinic', category: 'Health', type: 'Template' })
+    ]);
+    await seedEvents(2, { type: 'project.view', project: finance._id });
+    await seedEvents(1, { type: 'project.view', project: health._id });
+    await seedEvents(1, { type: 'cart.add', project: health._id });
+
+    const res = await report('/projects/breakdown').expect(200);
+
+    assert.deepEqual(res.body.categories, [
+      { category: 'Finance', projects: 1, views: 2, addsToCart: 0 },
+      { category: 'Health', projects: 1, views: 1, addsToCart: 1 }
+    ]);
+    assert.deepEqual(res.body.types.map(group => group.type), ['Dashboard', 'Template']);
+  });
+});
@@ -0,0 +1,94 @@
+// test/auth.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import AdminUser from '../models/AdminUser.js';
+import { startTestApp, stopTestApp, clearDatabase, createStaff } from './helpers.js';
+
+const PASSWORD = 'correct-horse-battery';
+
+let api;
+let support;
+
+// Sign-in is rate limited per client IP, so each request gets its own
+let attempt = 0;
+const login = body => {
+  attempt += 1;
+  return api.post('/api/auth/login').set('X-Forwarded-For', `192.0.2.${attempt % 250}`).send(body);
+};
+
+before(async () => {
+  api = await startTestApp();
+});
+
+after(stopTestApp);
+
+beforeEach(async () => {
+  await clearDatabase();
+  support = await createStaff('support');
+});
+
+describe('POST /api/auth/login', () => {
+  it('returns tokens and the user for the right password', async () => {
+    const res = await login({ username: support.user.username.toUpperCase(), password: PASSWORD }).expect(200);
+
+    assert.ok(res.body.accessToken);
+    assert.ok(res.body.refreshToken);
+    assert.equal(res.body.user.username, support.user.username);
+    assert.equal(res.body.user.passwordHash, undefined);
+    assert.ok((await AdminUser.findById(support.user.id)).lastLoginAt);
+
+    await api.get('/api/messages').set('Authorization', `Bearer ${res.body.accessToken}`).expect(200);
+  });
+
+  it('answers a wrong password and an unknown username the same way', async () => {
+    const wrong = await login({ username: support.user.username, password: 'wrong-password' }).expect(401);
+    const unknown = await login({ username: 'nobody', password: PASSWORD }).expect(401);
+
+    assert.deepEqual(wrong.body, unknown.body);
+  });
+
+  it('refuses deactivated users', async () => {
+    await AdminUser.updateOne({ _id: support.user._id }, { active: false });
+
+    await login({ username: support.user.username, password: PASSWORD }).expect(403);
+  });
+
+  it('limits attempts per username', async () => {
+    for (let n = 0; n < 10; n += 1) await login({ username: support.user.username, password: 'guess' }).expect(401);
+
+    const res = await login({ username: support.user.username, password: PASSWORD }).expect(429);
+    assert.ok(res.headers['retry-after']);
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('exchanges a refresh token for new tokens', async () => {
+    const { body } = await login({ username: support.user.username, password: PASSWORD }).expect(200);
+
+    const res = await api.post('/api/auth/refresh').send({ refreshToken: body.refreshToken }).expect(200);
+
+    await api.get('/api/messages').set('Authorization', `Bearer ${res.body.accessToken}`).expect(200);
+  });
+
+  it('does not accept an access token', async () => {
+    const { body } = await login({ username: support.user.username, password: PASSWORD }).expect(200);
+
+    await api.post('/api/auth/refresh').send({ refreshToken: body.accessToken }).expect(401);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  it('revokes every token the user holds', async () => {
+    const { body } = await login({ username: support.user.username, password: PASSWORD }).expect(200);
+
+    await api.post('/api/auth/logout').set('Authorization', support.auth).expect(200);
+
+    await api.get('/api/messages').set('Authorization', support.auth).expect(401);
+    await api.get('/api/messages').set('Authorization', `Bearer ${body.accessToken}`).expect(401);
+    await api.post('/api/auth/refresh').send({ refreshToken: body.refreshToken }).expect(401);
+  });
+
+  it('requires authentication', async () => {
+    await api.post('/api/auth/logout').expect(401);
+  });
+});
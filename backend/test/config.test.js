@@ -0,0 +1,80 @@
+// test/config.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig, ConfigError } from '../lib/config.js';
+
+const production = {
+  NODE_ENV: 'production',
+  MONGODB_URI: 'mongodb://db.internal:27017/nexverra',
+  JWT_SECRET: 'a-long-production-secret',
+  CORS_ORIGINS: 'https://nexverra.com',
+  PUBLIC_URL: 'https://nexverra.com'
+};
+
+describe('loadConfig', () => {
+  it('applies the defaults for the environment', () => {
+    const config = loadConfig({ NODE_ENV: 'test' });
+
+    assert.equal(config.env, 'test');
+    assert.equal(config.logLevel, 'silent');
+    assert.equal(config.auth.jwtSecret, 'test-secret');
+    assert.deepEqual(config.corsOrigins, ['*']);
+    assert.equal(config.publicUrl, 'http://localhost:5000');
+  });
+
+  it('defaults to development', () => {
+    const config = loadConfig({ JWT_SECRET: 'dev-secret' });
+
+    assert.equal(config.env, 'development');
+    assert.equal(config.logLevel, 'debug');
+  });
+
+  it('coerces values', () => {
+    const config = loadConfig({
+      ...production,
+      PORT: '8080',
+      CORS_ORIGINS: 'https://nexverra.com, https://admin.nexverra.com',
+      BODY_LIMIT: '2mb',
+      TRUST_PROXY: '1',
+      SMTP_SECURE: 'true',
+      PUBLIC_URL: 'https://nexverra.com/'
+    });
+
+    assert.equal(config.port, 8080);
+    assert.deepEqual(config.corsOrigins, ['https://nexverra.com', 'https://admin.nexverra.com']);
+    assert.equal(config.bodyLimit, 2 * 1024 * 1024);
+    assert.equal(config.trustProxy, 1);
+    assert.equal(config.mail.smtp.secure, true);
+    assert.equal(config.publicUrl, 'https://nexverra.com');
+  });
+
+  it('lists every missing and invalid setting', () => {
+    assert.throws(
+      () => loadConfig({ NODE_ENV: 'production', PORT: 'eighty', STORAGE_DRIVER: 's3' }),
+      error => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.problems, [
+          'PORT must be a whole number from 1 to 65535',
+          'PUBLIC_URL is required',
+          'MONGODB_URI is required',
+          'CORS_ORIGINS is required',
+          'JWT_SECRET is required',
+          'S3_BUCKET is required when STORAGE_DRIVER is s3'
+        ]);
+        return true;
+      }
+    );
+  });
+
+  it('only requires the settings named in `only`', () => {
+    const config = loadConfig({ NODE_ENV: 'production', MONGODB_URI: production.MONGODB_URI }, { only: ['mongoUri'] });
+
+    assert.equal(config.mongoUri, production.MONGODB_URI);
+    assert.equal(config.auth.jwtSecret, undefined);
+    assert.throws(() => loadConfig({ NODE_ENV: 'production' }, { only: ['mongoUri'] }), /MONGODB_URI is required$/);
+  });
+
+  it('rejects an unknown environment', () => {
+    assert.throws(() => loadConfig({ NODE_ENV: 'staging' }), /NODE_ENV must be one of/);
+  });
+});
@@ -0,0 +1,100 @@
+// test/crawlers.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Project from '../models/Project.js';
+import { startTestApp, stopTestApp, clearDatabase, createStaff } from './helpers.js';
+
+let api;
+let owner;
+let editor;
+
+const seedProject = (overrides = {}) =>
+  Project.create({
+    title: 'Analytics Dashboard',
+    slug: 'analytics-dashboard',
+    description: 'A dashboard for tracking sales.',
+    status: 'published',
+    ...overrides
+  });
+
+const locations = xml => [...xml.matchAll(/<loc>([^<]*)<\/loc>/g)].map(match => match[1]);
+const itemTitles = xml => [...xml.matchAll(/<item>\s*<title>([^<]*)<\/title>/g)].map(match => match[1]);
+
+before(async () => {
+  api = await startTestApp();
+});
+
+after(stopTestApp);
+
+beforeEach(async () => {
+  await clearDatabase();
+  [owner, editor] = await Promise.all([createStaff('owner'), createStaff('editor')]);
+});
+
+describe('GET /robots.txt', () => {
+  it('keeps crawlers out of private pages and points them at the sitemap', async () => {
+    const res = await api.get('/robots.txt').expect(200);
+
+    assert.match(res.headers['content-type'], /^text\/plain/);
+    assert.match(res.text, /^Disallow: \/admin$/m);
+    assert.match(res.text, /^Disallow: \/api\/$/m);
+    assert.match(res.text, /^Sitemap: http:\/\/localhost:5000\/sitemap\.xml$/m);
+  });
+});
+
+describe('GET /sitemap.xml', () => {
+  it('lists the public pages and live projects only', async () => {
+    await seedProject();
+    await seedProject({ slug: 'draft', status: 'draft' });
+    await seedProject({ slug: 'trashed', deletedAt: new Date() });
+    await seedProject({ slug: 'scheduled', publishAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+    const res = await api.get('/sitemap.xml').expect(200);
+
+    assert.match(res.headers['content-type'], /^application\/xml/);
+    const urls = locations(res.text);
+    assert.ok(urls.includes('http://localhost:5000/'));
+    assert.ok(urls.includes('http://localhost:5000/contact'));
+    assert.deepEqual(
+      urls.filter(url => url.includes('/works/')),
+      ['http://localhost:5000/works/analytics-dashboard']
+    );
+  });
+
+  it('is rebuilt when a project is written', async () => {
+    const cached = await api.get('/sitemap.xml').expect(200);
+    assert.ok(!cached.text.includes('/works/live-launch'));
+
+    const created = await api
+      .post('/api/projects')
+      .set('Authorization', editor.auth)
+      .send({ title: 'Live Launch', description: 'Just shipped.', status: 'published' })
+      .expect(201);
+
+    const rebuilt = await api.get('/sitemap.xml').expect(200);
+    assert.ok(rebuilt.text.includes(`/works/${created.body.slug}`));
+  });
+});
+
+describe('GET /feed.xml', () => {
+  it('lists live projects, newest first, escaped', async () => {
+    await seedProject({ title: 'Older', slug: 'older', createdAt: new Date('2024-01-01') });
+    await seedProject({ title: 'Shop & <Stock>', slug: 'newer', createdAt: new Date('2024-02-01') });
+    await seedProject({ title: 'Hidden', slug: 'hidden', status: 'draft' });
+
+    const res = await api.get('/feed.xml').expect(200);
+
+    assert.match(res.headers['content-type'], /^application\/rss\+xml/);
+    assert.deepEqual(itemTitles(res.text), ['Shop &amp; &lt;Stock&gt;', 'Older']);
+    assert.match(res.text, /<pubDate>Thu, 01 Feb 2024 00:00:00 GMT<\/pubDate>/);
+  });
+
+  it('drops a project once it is moved to the trash', async () => {
+    const project = await seedProject({ title: 'Going Away' });
+    assert.deepEqual(itemTitles((await api.get('/feed.xml').expect(200)).text), ['Going Away']);
+
+    await api.delete(`/api/projects/${project.id}`).set('Authorization', owner.auth).expect(200);
+
+    assert.deepEqual(itemTitles((await api.get('/feed.xml').expect(200)).text), []);
+  });
+});
@@ -0,0 +1,72 @@
+// test/errors.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, stopTestApp } from './helpers.js';
+
+let api;
+
+before(async () => {
+  api = await startTestApp();
+});
+
+after(stopTestApp);
+
+describe('request ids', () => {
+  it('gives each request an id in X-Request-Id', async () => {
+    const first = await api.get('/healthz').expect(200);
+    const second = await api.get('/healthz').expect(200);
+
+    assert.ok(first.headers['x-request-id']);
+    assert.notEqual(first.headers['x-request-id'], second.headers['x-request-id']);
+  });
+
+  it('keeps a valid incoming id and replaces an invalid one', async () => {
+    const kept = await api.get('/healthz').set('X-Request-Id', 'proxy-42').expect(200);
+    assert.equal(kept.headers['x-request-id'], 'proxy-42');
+
+    const replaced = await api.get('/healthz').set('X-Request-Id', 'not valid!').expect(200);
+    assert.notEqual(replaced.headers['x-request-id'], 'not valid!');
+  });
+});
+
+describe('error responses', () => {
+  it('use one envelope with the request id', async () => {
+    const res = await api.get('/api/messages').set('X-Request-Id', 'req-1').expect(401);
+
+    assert.deepEqual(res.body, { message: 'Authentication required', code: 'UNAUTHORIZED', requestId: 'req-1' });
+  });
+
+  it('list the invalid fields of a validation error', async () => {
+    const res = await api.post('/api/auth/login').send({}).expect(422);
+
+    assert.equal(res.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(res.body.errors.map(error => error.field).sort(), ['password', 'username']);
+  });
+
+  it('return JSON 404s for unknown API routes', async () => {
+    const res = await api.get('/api/nothing-here').expect(404);
+
+    assert.equal(res.body.code, 'NOT_FOUND');
+  });
+
+  it('reject malformed JSON bodies', async () => {
+    const res = await api
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"username":')
+      .expect(400);
+
+    assert.equal(res.body.code, 'INVALID_JSON');
+  });
+
+  it('keep the status of client errors raised outside the routes', async () => {
+    const uri = await api.get('/%E0%A4%A').expect(400);
+    assert.equal(uri.body.code, 'BAD_REQUEST');
+
+    const tooLarge = await api
+      .post('/api/events')
+      .send({ type: 'cart.add', plan: 'x'.repeat(5000) })
+      .expect(413);
+    assert.equal(tooLarge.body.code, 'PAYLOAD_TOO_LARGE');
+  });
+});
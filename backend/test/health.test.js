@@ -0,0 +1,45 @@
+// test/health.test.js
+// The probes only read the connection's state, so a stand-in is enough and
+// no database is started
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import './helpers.js';
+import { createApp } from '../app.js';
+import { markShuttingDown } from '../lib/health.js';
+
+const appWithMongo = readyState => request(createApp({ db: { readyState } }));
+
+describe('GET /healthz', () => {
+  it('answers while Mongo is still connecting', async () => {
+    const res = await appWithMongo(2).get('/healthz').expect(200);
+
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.body.mongo, 'connecting');
+    assert.equal(res.headers['cache-control'], 'no-store');
+    assert.ok(res.body.version);
+  });
+});
+
+describe('GET /readyz', () => {
+  it('reports 503 until Mongo is connected', async () => {
+    for (const readyState of [0, 2]) {
+      const res = await appWithMongo(readyState).get('/readyz').expect(503);
+      assert.equal(res.body.status, 'unavailable');
+    }
+
+    const res = await appWithMongo(1).get('/readyz').expect(200);
+    assert.equal(res.body.status, 'ready');
+    assert.equal(res.body.mongo, 'connected');
+  });
+
+  // Last, since shutting down cannot be undone within the process
+  it('reports 503 once shutdown has begun', async () => {
+    markShuttingDown();
+
+    const res = await appWithMongo(1).get('/readyz').expect(503);
+    assert.equal(res.body.shuttingDown, true);
+
+    await appWithMongo(1).get('/healthz').expect(200);
+  });
+});
@@ -0,0 +1,73 @@
+// test/helpers.js
+// Shared setup for the integration tests: an in-memory MongoDB, the app
+// built by createApp() and signed-in staff of each role.
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { createApp } from '../app.js';
+import AdminUser from '../models/AdminUser.js';
+import { issueTokens } from '../middleware/auth.js';
+
+// Settings are loaded on first use, so setting these before the app is built
+// is enough. The test defaults in lib/config.js supply the JWT secret and
+// silent logs; mail and rate limits are pinned so a local .env can't change them.
+process.env.NODE_ENV = 'test';
+process.env.MAIL_TRANSPORT = 'json';
+process.env.RATE_LIMIT_STORE = 'memory';
+
+let mongo;
+let uploadDir;
+
+// Starts Mongo and returns a supertest agent for a fresh app. Proxy headers
+// are trusted so tests can give each contact submission its own client IP.
+// `config` overrides further settings, e.g. distPath.
+export async function startTestApp(config = {}) {
+  uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nexverra-uploads-'));
+  process.env.UPLOAD_DIR = uploadDir;
+
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri());
+  // Text and unique indexes must exist before searches and slug checks run
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+
+  const app = createApp({ db: mongoose.connection, config: { trustProxy: true, ...config } });
+  return request(app);
+}
+
+export async function stopTestApp() {
+  await mongoose.disconnect();
+  await mongo?.stop();
+  if (uploadDir) await fs.rm(uploadDir, { recursive: true, force: true });
+}
+
+// Deletes through the models, so caches that listen for project writes are
+// emptied too
+export async function clearDatabase() {
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).deleteMany({})));
+}
+
+// Creates an active staff member and returns it with an Authorization header
+export async function createStaff(role = 'owner') {
+  const user = new AdminUser({ username: `${role}-${new mongoose.Types.ObjectId()}`, name: `Test ${role}`, role });
+  await user.setPassword('correct-horse-battery');
+  await user.save();
+
+  return { user, auth: `Bearer ${issueTokens(user).accessToken}` };
+}
+
+// Polls `check` until it returns something truthy; for work the app does
+// after responding, such as writing audit events
+export async function waitFor(check, { timeoutMs = 2000, intervalMs = 20 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+export const missingId = () => new mongoose.Types.ObjectId().toString();
@@ -0,0 +1,367 @@
+// test/messages.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Message from '../models/Message.js';
+import QuarantinedSubmission from '../models/QuarantinedSubmission.js';
+import { startTestApp, stopTestApp, clearDatabase, createStaff, missingId } from './helpers.js';
+
+let api;
+let owner;
+let editor;
+let support;
+
+// Contact submissions are rate limited per client IP and per email, so each
+// one gets its own of both
+let submission = 0;
+const contactForm = (overrides = {}) => {
+  submission += 1;
+  return {
+    ip: `203.0.113.${submission}`,
+    body: {
+      senderName: 'Asha Client',
+      senderEmail: `client${submission}@example.com`,
+      subject: 'New website',
+      plan: 'Growth',
+      items: [{ id: 'growth', title: 'Growth', type: 'Plan' }],
+      body: `We would like a new website (${submission}).`,
+      ...overrides
+    }
+  };
+};
+
+const submit = ({ ip, body }) => api.post('/api/messages').set('X-Forwarded-For', ip).send(body);
+
+const seedMessage = (overrides = {}) =>
+  Message.createEnquiry({
+    senderName: 'Asha Client',
+    senderEmail: 'asha@example.com',
+    subject: 'Quote request',
+    body: 'Please send a quote.',
+    ...overrides
+  });
+
+before(async () => {
+  api = await startTestApp();
+});
+
+after(stopTestApp);
+
+beforeEach(async () => {
+  await clearDatabase();
+  [owner, editor, support] = await Promise.all([createStaff('owner'), createStaff('editor'), createStaff('support')]);
+});
+
+describe('POST /api/messages', () => {
+  it('saves an enquiry and opens its thread', async () => {
+    const form = contactForm();
+
+    const res = await submit(form).expect(201);
+
+    assert.equal(res.body.status, 'unread');
+    assert.equal(res.body.senderEmail, form.body.senderEmail);
+    assert.equal(res.body.history.length, 1);
+    assert.equal(res.body.history[0].sender, 'client');
+    assert.equal(res.body.contentHash, undefined);
+  });
+
+  it('ignores server-controlled fields', async () => {
+    const res = await submit(contactForm({ status: 'resolved', history: [] })).expect(201);
+
+    assert.equal(res.body.status, 'unread');
+    assert.equal(res.body.history.length, 1);
+  });
+
+  it('rejects missing or invalid fields', async () => {
+    const res = await submit(contactForm({ senderEmail: 'not-an-email', body: undefined })).expect(422);
+
+    assert.deepEqual(res.body.errors.map(error => error.field).sort(), ['body', 'senderEmail']);
+  });
+
+  it('quietly quarantines honeypot submissions', async () => {
+    await submit(contactForm({ website: 'http://spam.example' })).expect(202);
+
+    assert.equal(await Message.countDocuments(), 0);
+    assert.ok(await QuarantinedSubmission.exists({ reason: 'honeypot' }));
+  });
+
+  it('returns 409 for a repeated message', async () => {
+    const first = contactForm();
+    await submit(first).expect(201);
+
+    await submit({ ip: contactForm().ip, body: first.body }).expect(409);
+  });
+
+  it('quarantines submissions over the IP limit, up to a cap', async () => {
+    const { ip } = contactForm();
+    for (let n = 0; n < 5; n += 1) await submit({ ip, body: contactForm().body }).expect(201);
+
+    for (let n = 0; n < 12; n += 1) await submit({ ip, body: contactForm().body }).expect(429);
+
+    assert.equal(await QuarantinedSubmission.countDocuments({ reason: 'rate-limit-ip' }), 10);
+  });
+
+  it('keeps only the message fields of a quarantined submission, cut short', async () => {
+    await submit(contactForm({ website: 'http://spam.example', body: 'x'.repeat(20000), junk: 'y'.repeat(1000) }))
+      .expect(202);
+
+    const { payload } = await QuarantinedSubmission.findOne();
+    assert.equal(payload.body.length, 10001);
+    assert.equal(payload.junk, undefined);
+    assert.equal(payload.website, 'http://spam.example');
+  });
+});
+
+describe('GET /api/messages', () => {
+  it('lists the inbox, newest first, without archived messages', async () => {
+    await seedMessage({ subject: 'Older', timestamp: new Date('2024-01-01') });
+    await seedMessage({ subject: 'Newer', timestamp: new Date('2024-02-01') });
+    await seedMessage({ subject: 'Archived', archivedAt: new Date() });
+
+    const res = await api.get('/api/messages').set('Authorization', support.auth).expect(200);
+
+    assert.deepEqual(res.body.items.map(message => message.subject), ['Newer', 'Older']);
+    assert.equal(res.body.total, 2);
+  });
+
+  it('filters by status, date range and search text', async () => {
+    await seedMessage({ subject: 'Logo refresh', status: 'resolved', timestamp: new Date('2024-03-10') });
+    await seedMessage({ subject: 'Dashboard build', timestamp: new Date('2024-05-10') });
+
+    const resolved = await api.get('/api/messages?status=resolved').set('Authorization', support.auth).expect(200);
+    assert.deepEqual(resolved.body.items.map(message => message.subject), ['Logo refresh']);
+
+    const inMay = await api
+      .get('/api/messages?from=2024-05-01&to=2024-05-31')
+      .set('Authorization', support.auth)
+      .expect(200);
+    assert.deepEqual(inMay.body.items.map(message => message.subject), ['Dashboard build']);
+
+    const search = await api.get('/api/messages?q=dashboard').set('Authorization', support.auth).expect(200);
+    assert.deepEqual(search.body.items.map(message => message.subject), ['Dashboard build']);
+  });
+
+  it('lists archived messages on request', async () => {
+    await seedMessage({ subject: 'Archived', archivedAt: new Date() });
+
+    const res = await api.get('/api/messages?archived=true').set('Authorization', support.auth).expect(200);
+
+    assert.deepEqual(res.body.items.map(message => message.subject), ['Archived']);
+  });
+
+  it('requires authentication', async () => {
+    await api.get('/api/messages').expect(401);
+  });
+
+  it('rejects invalid filters', async () => {
+    await api.get('/api/messages?status=spam').set('Authorization', support.auth).expect(422);
+  });
+});
+
+describe('GET /api/messages/counts', () => {
+  it('counts messages by status', async () => {
+    await seedMessage();
+    await seedMessage({ status: 'read' });
+    await seedMessage({ status: 'read' });
+    await seedMessage({ status: 'resolved', archivedAt: new Date() });
+
+    const res = await api.get('/api/messages/counts').set('Authorization', support.auth).expect(200);
+
+    assert.deepEqual(res.body, { unread: 1, read: 2, resolved: 0, total: 3 });
+  });
+});
+
+describe('GET /api/messages/export', () => {
+  it('downloads messages in a date range as CSV, archived ones included', async () => {
+    await seedMessage({ subject: 'April', timestamp: new Date('2024-04-20') });
+    await seedMessage({ subject: 'May', timestamp: new Date('2024-05-10'), items: [{ title: 'Growth' }] });
+    await seedMessage({ subject: 'May archived', timestamp: new Date('2024-05-11'), archivedAt: new Date() });
+
+    const res = await api
+      .get('/api/messages/export?from=2024-05-01&to=2024-05-31')
+      .set('Authorization', support.auth)
+      .expect(200);
+
+    assert.match(res.headers['content-disposition'], /filename="messages-[\d-]+\.csv"/);
+    const rows = res.text.replace(/^\ufeff/, '').trim().split('\r\n');
+    assert.equal(rows.length, 3);
+    assert.ok(rows[1].includes(',May,') && rows[1].includes(',Growth,'));
+    assert.ok(rows[2].includes(',May archived,'));
+  });
+
+  it('downloads whole threads as JSON', async () => {
+    await seedMessage({ subject: 'Threaded' });
+
+    const res = await api
+      .get('/api/messages/export?format=json&archived=false')
+      .set('Authorization', support.auth)
+      .expect(200);
+
+    const [message] = JSON.parse(res.text);
+    assert.equal(message.subject, 'Threaded');
+    assert.equal(message.history.length, 1);
+    assert.equal(message.contentHash, undefined);
+  });
+
+  it('rejects an unknown format', async () => {
+    await api.get('/api/messages/export?format=xlsx').set('Authorization', support.auth).expect(422);
+  });
+});
+
+describe('GET /api/messages/:id', () => {
+  it('returns the thread and marks it read', async () => {
+    const message = await seedMessage();
+
+    const res = await api.get(`/api/messages/${message.id}`).set('Authorization', editor.auth).expect(200);
+
+    assert.equal(res.body.status, 'read');
+    assert.equal((await Message.findById(message.id)).status, 'read');
+  });
+
+  it('leaves resolved threads resolved', async () => {
+    const message = await seedMessage({ status: 'resolved' });
+
+    const res = await api.get(`/api/messages/${message.id}`).set('Authorization', editor.auth).expect(200);
+
+    assert.equal(res.body.status, 'resolved');
+  });
+
+  it('returns 404 for a missing message and 422 for an invalid id', async () => {
+    await api.get(`/api/messages/${missingId()}`).set('Authorization', editor.auth).expect(404);
+    await api.get('/api/messages/nope').set('Authorization', editor.auth).expect(422);
+  });
+});
+
+describe('PATCH /api/messages/:id', () => {
+  it('updates the status and tracks resolution', async () => {
+    const message = await seedMessage();
+
+    const res = await api
+      .patch(`/api/messages/${message.id}`)
+      .set('Authorization', support.auth)
+      .send({ status: 'resolved' })
+      .expect(200);
+
+    assert.equal(res.body.status, 'resolved');
+    assert.ok(res.body.resolvedAt);
+  });
+
+  it('returns 404 for a missing message', async () => {
+    await api
+      .patch(`/api/messages/${missingId()}`)
+      .set('Authorization', support.auth)
+      .send({ status: 'read' })
+      .expect(404);
+  });
+
+  it('only accepts a valid status', async () => {
+    const message = await seedMessage();
+
+    await api
+      .patch(`/api/messages/${message.id}`)
+      .set('Authorization', support.auth)
+      .send({ status: 'spam' })
+      .expect(422);
+    await api
+      .patch(`/api/messages/${message.id}`)
+      .set('Authorization', support.auth)
+      .send({ status: 'read', body: 'rewritten' })
+      .expect(422);
+  });
+
+  it('requires the update permission', async () => {
+    const message = await seedMessage();
+
+    await api
+      .patch(`/api/messages/${message.id}`)
+      .set('Authorization', editor.auth)
+      .send({ status: 'read' })
+      .expect(403);
+  });
+});
+
+describe('POST /api/messages/:id/replies', () => {
+  it('appends a staff reply and reopens the thread', async () => {
+    const message = await seedMessage({ status: 'resolved' });
+
+    const res = await api
+      .post(`/api/messages/${message.id}/replies`)
+      .set('Authorization', support.auth)
+      .send({ text: 'Thanks, a quote is attached.' })
+      .expect(201);
+
+    assert.equal(res.body.status, 'read');
+    assert.equal(res.body.history.length, 2);
+    assert.equal(res.body.history[1].sender, 'admin');
+    assert.equal(res.body.history[1].authorName, 'Test support');
+  });
+
+  it('returns 404 for a missing message', async () => {
+    await api
+      .post(`/api/messages/${missingId()}/replies`)
+      .set('Authorization', support.auth)
+      .send({ text: 'Hello' })
+      .expect(404);
+  });
+
+  it('rejects an empty reply', async () => {
+    const message = await seedMessage();
+
+    await api
+      .post(`/api/messages/${message.id}/replies`)
+      .set('Authorization', support.auth)
+      .send({})
+      .expect(422);
+  });
+});
+
+describe('POST /api/messages/:id/close', () => {
+  it('resolves the thread', async () => {
+    const message = await seedMessage();
+
+    const res = await api.post(`/api/messages/${message.id}/close`).set('Authorization', support.auth).expect(200);
+
+    assert.equal(res.body.status, 'resolved');
+  });
+
+  it('returns 404 for a missing message', async () => {
+    await api.post(`/api/messages/${missingId()}/close`).set('Authorization', support.auth).expect(404);
+  });
+});
+
+describe('POST /api/messages/bulk', () => {
+  it('applies an action to every listed message', async () => {
+    const [first, second] = await Promise.all([seedMessage(), seedMessage({ subject: 'Second' })]);
+
+    const res = await api
+      .post('/api/messages/bulk')
+      .set('Authorization', support.auth)
+      .send({ ids: [first.id, second.id], action: 'archive' })
+      .expect(200);
+
+    assert.deepEqual(res.body, { action: 'archive', matched: 2, modified: 2 });
+    assert.equal(await Message.countDocuments({ archivedAt: { $ne: null } }), 2);
+  });
+
+  it('only lets owners delete', async () => {
+    const message = await seedMessage();
+    const body = { ids: [message.id], action: 'delete' };
+
+    await api.post('/api/messages/bulk').set('Authorization', support.auth).send(body).expect(403);
+    await api.post('/api/messages/bulk').set('Authorization', owner.auth).send(body).expect(200);
+
+    assert.equal(await Message.countDocuments(), 0);
+  });
+
+  it('rejects an empty selection or unknown action', async () => {
+    await api
+      .post('/api/messages/bulk')
+      .set('Authorization', support.auth)
+      .send({ ids: [], action: 'archive' })
+      .expect(422);
+    await api
+      .post('/api/messages/bulk')
+      .set('Authorization', support.auth)
+      .send({ ids: [missingId()], action: 'explode' })
+      .expect(422);
+  });
+});
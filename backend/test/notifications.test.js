@@ -0,0 +1,159 @@
+// test/notifications.test.js
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import EmailJob from '../models/EmailJob.js';
+import { enqueueEmail, processEmailQueue } from '../notifications/queue.js';
+import { setTransport } from '../notifications/transport.js';
+import { startTestApp, stopTestApp, clearDatabase, createStaff, waitFor } from './helpers.js';
+
+let api;
+
+const MINUTE_MS = 60 * 1000;
+
+// Fails every send until the test puts the json transport back
+const brokenTransport = {
+  sendMail: async () => {
+    throw new Error('Connection refused');
+  }
+};
+
+const jobStatus = async (job, status) => {
+  const current = await EmailJob.findById(job._id);
+  return current?.status === status && current;
+};
+
+// Makes a queued retry due now instead of after its back-off
+const makeDue = job => EmailJob.updateOne({ _id: job._id }, { nextAttemptAt: new Date() });
+
+before(async () => {
+  api = await startTestApp();
+});
+
+after(stopTestApp);
+
+beforeEach(clearDatabase);
+
+// Clearing the override makes getTransport() build the json transport again
+afterEach(async () => {
+  await processEmailQueue();
+  setTransport(undefined);
+});
+
+describe('enqueueEmail', () => {
+  it('renders the template and sends it through the json transport', async () => {
+    const job = await enqueueEmail('portalMagicLink', 'asha@example.com', { link: 'https://example.com/portal/abc' });
+
+    assert.equal(job.to, 'asha@example.com');
+    assert.match(job.subject, /sign-in link/);
+    assert.match(job.text, /https:\/\/example\.com\/portal\/abc/);
+
+    const sent = await waitFor(() => jobStatus(job, 'sent'));
+    assert.equal(sent.attempts, 1);
+    assert.ok(sent.sentAt);
+    assert.equal(sent.lastError, undefined);
+    assert.equal(sent.lockedAt, undefined);
+  });
+
+  it('rejects an unknown template without queueing anything', async () => {
+    await assert.rejects(enqueueEmail('noSuchTemplate', 'asha@example.com', {}), /Unknown email template/);
+    assert.equal(await EmailJob.countDocuments(), 0);
+  });
+});
+
+describe('processEmailQueue', () => {
+  it('keeps a failed send queued and backs off before retrying', async () => {
+    setTransport(brokenTransport);
+    const startedAt = Date.now();
+    const job = await enqueueEmail('portalMagicLink', 'asha@example.com', { link: 'https://example.com/portal/abc' });
+
+    const pending = await waitFor(async () => {
+      const current = await EmailJob.findById(job._id);
+      return current.attempts === 1 && current.status === 'pending' && current;
+    });
+    assert.equal(pending.lastError, 'Connection refused');
+    assert.ok(pending.nextAttemptAt.getTime() >= startedAt + MINUTE_MS);
+
+    // Not due yet, so another run leaves it alone
+    await processEmailQueue();
+    assert.equal((await EmailJob.findById(job._id)).attempts, 1);
+
+    setTransport(undefined);
+    await makeDue(job);
+    await processEmailQueue();
+
+    const sent = await EmailJob.findById(job._id);
+    assert.equal(sent.status, 'sent');
+    assert.equal(sent.attempts, 2);
+    assert.equal(sent.lastError, undefined);
+  });
+
+  it('gives up after the fifth attempt', async () => {
+    setTransport(brokenTransport);
+    const job = await enqueueEmail('portalMagicLink', 'asha@example.com', { link: 'https://example.com/portal/abc' });
+    await processEmailQueue();
+
+    for (let attempt = 2; attempt <= 5; attempt++) {
+      await makeDue(job);
+      await processEmailQueue();
+    }
+
+    const failed = await EmailJob.findById(job._id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 5);
+    assert.equal(failed.lastError, 'Connection refused');
+
+    // A failed job is never picked up again
+    await makeDue(job);
+    await processEmailQueue();
+    assert.equal((await EmailJob.findById(job._id)).attempts, 5);
+  });
+
+  it('takes over a job left sending by a process that died', async () => {
+    const job = await EmailJob.create({
+      template: 'portalMagicLink',
+      to: 'asha@example.com',
+      subject: 'Your sign-in link',
+      text: 'https://example.com/portal/abc',
+      status: 'sending',
+      attempts: 1,
+      lockedAt: new Date(Date.now() - 10 * MINUTE_MS)
+    });
+
+    await processEmailQueue();
+
+    const sent = await EmailJob.findById(job._id);
+    assert.equal(sent.status, 'sent');
+    assert.equal(sent.attempts, 2);
+  });
+});
+
+describe('contact notifications', () => {
+  it('queues an acknowledgement for the sender and an alert for staff who read the inbox', async () => {
+    const [owner, support, editor] = await Promise.all([
+      createStaff('owner'),
+      createStaff('support'),
+      createStaff('editor')
+    ]);
+    await Promise.all(
+      [owner, support, editor].map(({ user }) => {
+        user.email = `${user.role}@nexverra.example`;
+        return user.save();
+      })
+    );
+
+    await api
+      .post('/api/messages')
+      .set('X-Forwarded-For', '203.0.113.200')
+      .send({ senderName: 'Asha Client', senderEmail: 'asha@example.com', body: 'We would like a new website.' })
+      .expect(201);
+
+    const jobs = await waitFor(async () => {
+      const queued = await EmailJob.find({ status: 'sent' });
+      return queued.length === 3 && queued;
+    });
+
+    const byTemplate = template => jobs.filter(job => job.template === template).map(job => job.to).sort();
+    assert.deepEqual(byTemplate('messageReceived'), ['asha@example.com']);
+    assert.deepEqual(byTemplate('newMessageAlert'), ['owner@nexverra.example', 'support@nexverra.example']);
+  });
+});
@@ -0,0 +1,174 @@
+// test/orders.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Message from '../models/Message.js';
+import Order from '../models/Order.js';
+import Project from '../models/Project.js';
+import { startTestApp, stopTestApp, clearDatabase, createStaff } from './helpers.js';
+
+let api;
+let editor;
+let support;
+
+const customer = { name: 'Asha Client', email: 'asha@example.com' };
+
+const createOrder = body =>
+  api
+    .post('/api/orders')
+    .set('Authorization', support.auth)
+    .send({ customer, ...body });
+
+const moveTo = (order, status) =>
+  api.post(`/api/orders/${order._id}/status`).set('Authorization', support.auth).send({ status });
+
+before(async () => {
+  api = await startTestApp();
+});
+
+after(stopTestApp);
+
+beforeEach(async () => {
+  await clearDatabase();
+  [editor, support] = await Promise.all([createStaff('editor'), createStaff('support')]);
+});
+
+describe('POST /api/orders', () => {
+  it('derives line amounts and totals from the items', async () => {
+    const res = await createOrder({
+      items: [
+        { description: 'Design', quantity: 2, unitPrice: 1000 },
+        { description: 'Hosting', unitPrice: 500 }
+      ],
+      discount: 300
+    }).expect(201);
+
+    assert.deepEqual(
+      res.body.items.map(item => item.amount),
+      [2000, 500]
+    );
+    assert.equal(res.body.subtotal, 2500);
+    assert.equal(res.body.total, 2200);
+    assert.equal(res.body.status, 'requested');
+    assert.deepEqual(
+      res.body.statusHistory.map(change => change.status),
+      ['requested']
+    );
+  });
+
+  it('never lets the discount take the total below zero', async () => {
+    const res = await createOrder({ items: [{ description: 'Logo', unitPrice: 100 }], discount: 500 }).expect(201);
+
+    assert.equal(res.body.total, 0);
+  });
+
+  it('does not accept totals from the client', async () => {
+    await createOrder({ items: [{ description: 'Logo', unitPrice: 100 }], total: 1 }).expect(422);
+  });
+
+  it('rejects line items for projects that do not exist', async () => {
+    await createOrder({
+      items: [{ description: 'Missing', unitPrice: 1, project: '64b000000000000000000000' }]
+    }).expect(422);
+  });
+});
+
+describe('POST /api/orders/from-message/:messageId', () => {
+  it('prices the plan and adds projects from the cart once per enquiry', async () => {
+    const project = await Project.create({ title: 'Shop Theme', description: 'A theme.' });
+    const message = await Message.createEnquiry({
+      senderName: 'Asha Client',
+      senderEmail: 'asha@example.com',
+      body: 'Please quote.',
+      plan: 'Growth Plan',
+      items: [{ id: project.id, title: 'Shop Theme', type: 'Project' }]
+    });
+
+    const res = await api
+      .post(`/api/orders/from-message/${message.id}`)
+      .set('Authorization', support.auth)
+      .expect(201);
+
+    assert.deepEqual(
+      res.body.items.map(item => [item.description, item.unitPrice]),
+      [
+        ['Growth Plan', 14999],
+        ['Shop Theme', 0]
+      ]
+    );
+    assert.equal(res.body.total, 14999);
+    assert.equal(res.body.customer.email, 'asha@example.com');
+
+    const again = await api
+      .post(`/api/orders/from-message/${message.id}`)
+      .set('Authorization', support.auth)
+      .expect(409);
+    assert.equal(again.body.orderId, res.body._id);
+  });
+});
+
+describe('POST /api/orders/:id/status', () => {
+  it('follows the transition table from request to delivery', async () => {
+    const { body: order } = await createOrder({ items: [{ description: 'Site', unitPrice: 9000 }] }).expect(201);
+
+    for (const status of ['quoted', 'accepted', 'in-progress', 'delivered']) {
+      const res = await moveTo(order, status).expect(200);
+      assert.equal(res.body.status, status);
+    }
+
+    await moveTo(order, 'cancelled').expect(409);
+    const stored = await Order.findById(order._id);
+    assert.deepEqual(
+      stored.statusHistory.map(change => change.status),
+      ['requested', 'quoted', 'accepted', 'in-progress', 'delivered']
+    );
+  });
+
+  it('refuses moves the table does not allow', async () => {
+    const { body: order } = await createOrder({ items: [{ description: 'Site', unitPrice: 9000 }] }).expect(201);
+
+    await moveTo(order, 'delivered').expect(409);
+    await moveTo(order, 'accepted').expect(409);
+  });
+
+  it('needs a line item before a quote is sent', async () => {
+    const { body: order } = await createOrder({}).expect(201);
+
+    await moveTo(order, 'quoted').expect(409);
+  });
+});
+
+describe('PATCH /api/orders/:id', () => {
+  it('recalculates totals while the quote is open and locks it once accepted', async () => {
+    const { body: order } = await createOrder({ items: [{ description: 'Site', unitPrice: 9000 }] }).expect(201);
+
+    const edited = await api
+      .patch(`/api/orders/${order._id}`)
+      .set('Authorization', support.auth)
+      .send({ items: [{ description: 'Site', quantity: 2, unitPrice: 9000 }] })
+      .expect(200);
+    assert.equal(edited.body.total, 18000);
+
+    await moveTo(order, 'quoted').expect(200);
+    await moveTo(order, 'accepted').expect(200);
+
+    await api
+      .patch(`/api/orders/${order._id}`)
+      .set('Authorization', support.auth)
+      .send({ discount: 1000 })
+      .expect(409);
+  });
+});
+
+describe('permissions', () => {
+  it('lets editors read orders but not change them', async () => {
+    const { body: order } = await createOrder({}).expect(201);
+
+    await api.get(`/api/orders/${order._id}`).set('Authorization', editor.auth).expect(200);
+    await api.post('/api/orders').set('Authorization', editor.auth).send({ customer }).expect(403);
+    await api
+      .post(`/api/orders/${order._id}/status`)
+      .set('Authorization', editor.auth)
+      .send({ status: 'cancelled' })
+      .expect(403);
+  });
+});
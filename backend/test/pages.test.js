@@ -0,0 +1,92 @@
+// test/pages.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import Project from '../models/Project.js';
+import { startTestApp, stopTestApp, clearDatabase } from './helpers.js';
+
+let api;
+let distPath;
+
+const seedProject = (overrides = {}) =>
+  Project.create({
+    title: 'Analytics Dashboard',
+    slug: 'analytics-dashboard',
+    description: 'A dashboard for tracking sales.',
+    status: 'published',
+    ...overrides
+  });
+
+// The content of a <meta> tag, matched by its name or property
+const metaContent = (html, key) =>
+  new RegExp(`<meta (?:name|property)="${key}" content="([^"]*)" />`).exec(html)?.[1];
+const titleOf = html => /<title>([^<]*)<\/title>/.exec(html)?.[1];
+
+before(async () => {
+  distPath = await fs.mkdtemp(path.join(os.tmpdir(), 'nexverra-dist-'));
+  await fs.writeFile(path.join(distPath, 'index.html'), '<html><head><title>App</title></head><body></body></html>');
+
+  api = await startTestApp({ distPath });
+});
+
+after(async () => {
+  await stopTestApp();
+  await fs.rm(distPath, { recursive: true, force: true });
+});
+
+beforeEach(clearDatabase);
+
+describe('page meta', () => {
+  it('gives each static page its own title and preview tags', async () => {
+    const res = await api.get('/works/').expect(200);
+
+    assert.equal(titleOf(res.text), 'Our Work | Nexverra');
+    assert.equal(metaContent(res.text, 'og:title'), 'Our Work | Nexverra');
+    assert.equal(metaContent(res.text, 'og:type'), 'website');
+    assert.match(res.text, /<link rel="canonical" href="http:\/\/localhost:5000\/works" \/>/);
+  });
+
+  it('describes a published project from its fields', async () => {
+    await seedProject({ image: '/uploads/projects/cover.webp', description: 'Sales <charts> & more. '.repeat(20) });
+
+    const res = await api.get('/works/Analytics-Dashboard').expect(200);
+
+    assert.equal(titleOf(res.text), 'Analytics Dashboard | Nexverra');
+    assert.equal(metaContent(res.text, 'og:type'), 'article');
+    assert.equal(metaContent(res.text, 'og:image'), 'http://localhost:5000/uploads/projects/cover.webp');
+    assert.equal(metaContent(res.text, 'twitter:card'), 'summary_large_image');
+
+    const description = metaContent(res.text, 'description');
+    assert.ok(description.startsWith('Sales &lt;charts&gt; &amp; more.'));
+    assert.ok(description.endsWith('…'));
+  });
+
+  it('prefers the SEO title and description', async () => {
+    await seedProject({ seo: { title: 'Dashboards that sell', description: 'Charts for shops.' } });
+
+    const res = await api.get('/works/analytics-dashboard').expect(200);
+
+    assert.equal(titleOf(res.text), 'Dashboards that sell');
+    assert.equal(metaContent(res.text, 'og:description'), 'Charts for shops.');
+  });
+
+  it('returns 404 with the app shell for unknown, draft and trashed projects', async () => {
+    await seedProject({ slug: 'draft', status: 'draft' });
+    await seedProject({ slug: 'trashed', deletedAt: new Date() });
+
+    for (const slug of ['nothing-here', 'draft', 'trashed']) {
+      const res = await api.get(`/works/${slug}`).expect(404);
+      assert.equal(titleOf(res.text), 'Nexverra | Creative Digital Agency');
+      assert.equal(metaContent(res.text, 'robots'), 'noindex');
+    }
+  });
+
+  it('keeps staff and client pages out of search results', async () => {
+    const res = await api.get('/admin/projects').expect(200);
+
+    assert.equal(metaContent(res.text, 'robots'), 'noindex');
+    assert.doesNotMatch(res.text, /rel="canonical"/);
+  });
+});
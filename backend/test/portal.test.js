@@ -0,0 +1,26 @@
+// test/portal.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, stopTestApp, clearDatabase } from './helpers.js';
+
+let api;
+
+before(async () => {
+  api = await startTestApp();
+});
+
+after(stopTestApp);
+
+beforeEach(clearDatabase);
+
+describe('POST /api/portal/magic-link', () => {
+  it('limits how many links one address can request', async () => {
+    const requestLink = n =>
+      api.post('/api/portal/magic-link').set('X-Forwarded-For', `203.0.113.${n}`).send({ email: 'Asha@example.com' });
+
+    for (let n = 1; n <= 3; n += 1) await requestLink(n).expect(202);
+    const res = await requestLink(4).expect(429);
+
+    assert.ok(res.headers['retry-after']);
+  });
+});
@@ -0,0 +1,638 @@
+// test/projects.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import Project from '../models/Project.js';
+import AuditEvent from '../models/AuditEvent.js';
+import { startTestApp, stopTestApp, clearDatabase, createStaff, waitFor, missingId } from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+
+let api;
+let owner;
+let editor;
+let support;
+
+const projectBody = (overrides = {}) => ({
+  title: 'Analytics Dashboard',
+  description: 'A dashboard for tracking sales.',
+  category: 'Finance',
+  type: 'Dashboard',
+  rating: 4,
+  ...overrides
+});
+
+// Saves directly through the model, skipping the API's draft default
+const seedProject = (overrides = {}) => Project.create(projectBody({ status: 'published', ...overrides }));
+
+before(async () => {
+  api = await startTestApp();
+});
+
+after(stopTestApp);
+
+beforeEach(async () => {
+  await clearDatabase();
+  [owner, editor, support] = await Promise.all([createStaff('owner'), createStaff('editor'), createStaff('support')]);
+});
+
+describe('GET /api/projects', () => {
+  it('only lists live projects to the public', async () => {
+    const live = await seedProject({ title: 'Live' });
+    await Project.collection.insertOne({ title: 'Legacy', description: 'No status field', createdAt: new Date() });
+    await seedProject({ title: 'Draft', status: 'draft' });
+    await seedProject({ title: 'Archived', status: 'archived' });
+    await seedProject({ title: 'Scheduled', publishAt: new Date(Date.now() + HOUR) });
+    await seedProject({ title: 'Expired', unpublishAt: new Date(Date.now() - HOUR) });
+    await seedProject({ title: 'Trashed', deletedAt: new Date() });
+
+    const res = await api.get('/api/projects').expect(200);
+
+    assert.deepEqual(res.body.items.map(project => project.title).sort(), ['Legacy', 'Live']);
+    assert.equal(res.body.total, 2);
+    assert.ok(res.body.items.some(project => project._id === live.id));
+  });
+
+  it('returns the paging envelope', async () => {
+    await Promise.all([1, 2, 3].map(n => seedProject({ title: `Project ${n}` })));
+
+    const res = await api.get('/api/projects?page=2&limit=2').expect(200);
+
+    assert.equal(res.body.items.length, 1);
+    assert.equal(res.body.total, 3);
+    assert.equal(res.body.page, 2);
+    assert.equal(res.body.limit, 2);
+    assert.equal(res.body.totalPages, 2);
+  });
+
+  it('filters by category, type, rating and search text', async () => {
+    await seedProject({ title: 'Invoice Tracker', category: 'Finance', type: 'Template', rating: 5 });
+    await seedProject({ title: 'Clinic Portal', category: 'Health', type: 'Dashboard', rating: 3 });
+
+    const byCategory = await api.get('/api/projects?category=Health').expect(200);
+    assert.deepEqual(byCategory.body.items.map(project => project.title), ['Clinic Portal']);
+
+    const byType = await api.get('/api/projects?type=Template&minRating=4').expect(200);
+    assert.deepEqual(byType.body.items.map(project => project.title), ['Invoice Tracker']);
+
+    const bySearch = await api.get('/api/projects?q=invoice&sort=relevance').expect(200);
+    assert.deepEqual(bySearch.body.items.map(project => project.title), ['Invoice Tracker']);
+  });
+
+  it('shows staff every project outside the trash, filterable by status', async () => {
+    await seedProject({ title: 'Live' });
+    await seedProject({ title: 'Draft', status: 'draft' });
+    await seedProject({ title: 'Trashed', deletedAt: new Date() });
+
+    const all = await api.get('/api/projects').set('Authorization', editor.auth).expect(200);
+    assert.deepEqual(all.body.items.map(project => project.title).sort(), ['Draft', 'Live']);
+
+    const drafts = await api.get('/api/projects?status=draft').set('Authorization', editor.auth).expect(200);
+    assert.deepEqual(drafts.body.items.map(project => project.title), ['Draft']);
+  });
+
+  it('ignores the status filter for the public', async () => {
+    await seedProject({ title: 'Draft', status: 'draft' });
+
+    const res = await api.get('/api/projects?status=draft').expect(200);
+
+    assert.equal(res.body.total, 0);
+  });
+
+  it('rejects invalid query parameters', async () => {
+    const res = await api.get('/api/projects?limit=0&sort=random').expect(422);
+
+    assert.equal(res.body.message, 'Validation failed');
+    assert.deepEqual(res.body.errors.map(error => error.field).sort(), ['limit', 'sort']);
+  });
+
+  it('answers a matching If-None-Match with 304', async () => {
+    await seedProject();
+
+    const first = await api.get('/api/projects').expect(200);
+    assert.ok(first.headers.etag);
+    assert.equal(first.headers['cache-control'], 'public, no-cache');
+
+    await api.get('/api/projects').set('If-None-Match', first.headers.etag).expect(304);
+  });
+
+  it('serves the public list from cache until a project is written', async () => {
+    await seedProject({ title: 'First' });
+    const before = await api.get('/api/projects').expect(200);
+
+    // Skips the model, so the cache is not told
+    await Project.collection.insertOne({ title: 'Unseen', description: 'Raw insert', createdAt: new Date() });
+    const cached = await api.get('/api/projects').expect(200);
+    assert.deepEqual(cached.body, before.body);
+
+    await api.post('/api/projects').set('Authorization', editor.auth).send(projectBody({ status: 'published' }));
+    const fresh = await api.get('/api/projects').expect(200);
+    assert.equal(fresh.body.total, 3);
+    assert.notEqual(fresh.headers.etag, before.headers.etag);
+  });
+
+  it('never caches staff responses', async () => {
+    await seedProject({ title: 'Live' });
+    await api.get('/api/projects').expect(200);
+    await seedProject({ title: 'Draft', status: 'draft' });
+
+    const res = await api.get('/api/projects').set('Authorization', editor.auth).expect(200);
+
+    assert.equal(res.body.total, 2);
+    assert.equal(res.headers['cache-control'], 'private, no-cache');
+  });
+});
+
+describe('GET /api/projects/by-slug/:slug', () => {
+  it('returns a live project by slug', async () => {
+    const project = await seedProject({ title: 'Brand Kit' });
+
+    const res = await api.get('/api/projects/by-slug/brand-kit').expect(200);
+
+    assert.equal(res.body._id, project.id);
+  });
+
+  it('hides drafts from the public but not from staff', async () => {
+    await seedProject({ title: 'Secret Draft', status: 'draft' });
+
+    await api.get('/api/projects/by-slug/secret-draft').expect(404);
+    await api.get('/api/projects/by-slug/secret-draft').set('Authorization', support.auth).expect(200);
+  });
+
+  it('returns 404 for an unknown slug', async () => {
+    const res = await api.get('/api/projects/by-slug/nothing-here').expect(404);
+
+    assert.equal(res.body.message, 'Project not found');
+  });
+
+  it('rejects a malformed slug', async () => {
+    await api.get('/api/projects/by-slug/Not%20A%20Slug').expect(422);
+  });
+});
+
+describe('GET /api/projects/trash', () => {
+  it('lists trashed projects, most recently deleted first', async () => {
+    await seedProject({ title: 'Old', deletedAt: new Date(Date.now() - HOUR) });
+    await seedProject({ title: 'New', deletedAt: new Date() });
+    await seedProject({ title: 'Live' });
+
+    const res = await api.get('/api/projects/trash').set('Authorization', owner.auth).expect(200);
+
+    assert.deepEqual(res.body.items.map(project => project.title), ['New', 'Old']);
+  });
+
+  it('requires authentication and the delete permission', async () => {
+    await api.get('/api/projects/trash').expect(401);
+    await api.get('/api/projects/trash').set('Authorization', editor.auth).expect(403);
+  });
+});
+
+describe('GET /api/projects/export', () => {
+  it('downloads projects outside the trash as CSV', async () => {
+    await seedProject({ title: 'Brand Kit', seo: { title: 'Brand Kit, Free' } });
+    await seedProject({ title: 'Trashed', deletedAt: new Date() });
+
+    const res = await api.get('/api/projects/export').set('Authorization', editor.auth).expect(200);
+
+    assert.match(res.headers['content-type'], /^text\/csv/);
+    assert.match(res.headers['content-disposition'], /attachment; filename="projects-[\d-]+\.csv"/);
+    const [header, row, ...rest] = res.text.replace(/^\ufeff/, '').trim().split('\r\n');
+    assert.ok(header.startsWith('title,slug,category'));
+    assert.ok(row.startsWith('Brand Kit,brand-kit,Finance'));
+    assert.ok(row.includes('"Brand Kit, Free"'));
+    assert.equal(rest.length, 0);
+  });
+
+  it('downloads JSON filtered by status', async () => {
+    await seedProject({ title: 'Live' });
+    await seedProject({ title: 'Draft', status: 'draft' });
+
+    const res = await api
+      .get('/api/projects/export?format=json&status=draft')
+      .set('Authorization', editor.auth)
+      .expect(200);
+
+    assert.deepEqual(JSON.parse(res.text).map(project => project.title), ['Draft']);
+  });
+
+  it('requires the update permission', async () => {
+    await api.get('/api/projects/export').set('Authorization', support.auth).expect(403);
+  });
+});
+
+describe('POST /api/projects', () => {
+  it('creates a draft with a slug generated from the title', async () => {
+    const res = await api.post('/api/projects').set('Authorization', editor.auth).send(projectBody()).expect(201);
+
+    assert.equal(res.body.status, 'draft');
+    assert.equal(res.body.slug, 'analytics-dashboard');
+    assert.ok(await Project.exists({ _id: res.body._id }));
+  });
+
+  it('numbers slugs when the title is already taken', async () => {
+    await seedProject();
+
+    const res = await api.post('/api/projects').set('Authorization', editor.auth).send(projectBody()).expect(201);
+
+    assert.equal(res.body.slug, 'analytics-dashboard-2');
+  });
+
+  it('returns 409 for an explicit slug that is in use', async () => {
+    await seedProject({ slug: 'taken' });
+
+    await api
+      .post('/api/projects')
+      .set('Authorization', editor.auth)
+      .send(projectBody({ slug: 'taken' }))
+      .expect(409);
+  });
+
+  it('records an audit event', async () => {
+    const res = await api.post('/api/projects').set('Authorization', editor.auth).send(projectBody()).expect(201);
+
+    const event = await waitFor(() => AuditEvent.findOne({ action: 'project.create', targetId: res.body._id }));
+    assert.ok(event.actor.equals(editor.user._id));
+  });
+
+  it('rejects missing required fields', async () => {
+    const res = await api
+      .post('/api/projects')
+      .set('Authorization', editor.auth)
+      .send({ category: 'Finance' })
+      .expect(422);
+
+    assert.deepEqual(res.body.errors.map(error => error.field).sort(), ['description', 'title']);
+  });
+
+  it('rejects a schedule that ends before it starts', async () => {
+    const publishAt = new Date(Date.now() + 2 * HOUR).toISOString();
+    const unpublishAt = new Date(Date.now() + HOUR).toISOString();
+
+    const res = await api
+      .post('/api/projects')
+      .set('Authorization', editor.auth)
+      .send(projectBody({ status: 'published', publishAt, unpublishAt }))
+      .expect(422);
+
+    assert.equal(res.body.errors[0].field, 'unpublishAt');
+  });
+
+  it('returns 400 for a malformed JSON body', async () => {
+    await api
+      .post('/api/projects')
+      .set('Authorization', editor.auth)
+      .set('Content-Type', 'application/json')
+      .send('{"title": ')
+      .expect(400);
+  });
+
+  it('requires authentication and the create permission', async () => {
+    await api.post('/api/projects').send(projectBody()).expect(401);
+    await api.post('/api/projects').set('Authorization', 'Bearer not-a-token').send(projectBody()).expect(401);
+    await api.post('/api/projects').set('Authorization', support.auth).send(projectBody()).expect(403);
+  });
+});
+
+describe('POST /api/projects/import', () => {
+  const importCsv = csv =>
+    api.post('/api/projects/import').set('Authorization', editor.auth).set('Content-Type', 'text/csv').send(csv);
+
+  it('reports per-row errors on a dry run without saving', async () => {
+    await seedProject({ title: 'Taken', slug: 'taken' });
+
+    const res = await api
+      .post('/api/projects/import?dryRun=true')
+      .set('Authorization', editor.auth)
+      .send([
+        { title: 'Good One', description: 'Fine.' },
+        { title: 'No Description' },
+        { title: 'Clash', description: 'Slug in use.', slug: 'taken' },
+        { title: 'Bad Rating', description: 'Too high.', rating: 9 }
+      ])
+      .expect(200);
+
+    assert.equal(res.body.dryRun, true);
+    assert.equal(res.body.total, 4);
+    assert.equal(res.body.valid, 1);
+    assert.deepEqual(
+      res.body.errors.map(error => [error.row, error.field]),
+      [
+        [2, 'description'],
+        [3, 'slug'],
+        [4, 'rating']
+      ]
+    );
+    assert.equal(await Project.countDocuments(), 1);
+  });
+
+  it('accepts a JSON import larger than the app-wide body limit', async () => {
+    const rows = Array.from({ length: 400 }, (_, n) => ({ title: `Project ${n}`, description: 'x'.repeat(4000) }));
+
+    const res = await api
+      .post('/api/projects/import?dryRun=true')
+      .set('Authorization', editor.auth)
+      .send(rows)
+      .expect(200);
+
+    assert.equal(res.body.valid, 400);
+  });
+
+  it('imports CSV rows as drafts with unique slugs', async () => {
+    const csv = [
+      'title,description,category,rating,seo.title',
+      'Shop Front,"An online shop, ready to go.",Retail,4.5,Shop Front Template',
+      'Shop Front,A second shop.,Retail,,'
+    ].join('\r\n');
+
+    const res = await importCsv(csv).expect(201);
+
+    assert.equal(res.body.total, 2);
+    assert.deepEqual(res.body.projects.map(project => project.slug), ['shop-front', 'shop-front-2']);
+    const saved = await Project.findOne({ slug: 'shop-front' });
+    assert.equal(saved.status, 'draft');
+    assert.equal(saved.rating, 4.5);
+    assert.equal(saved.seo.title, 'Shop Front Template');
+
+    const audited = await waitFor(() => AuditEvent.countDocuments({ action: 'project.import' }));
+    assert.equal(audited, 2);
+  });
+
+  it('saves nothing when any row is invalid', async () => {
+    const res = await importCsv('title,description\nFine,Has one\nMissing,').expect(422);
+
+    assert.deepEqual(res.body.errors.map(error => error.row), [2]);
+    assert.equal(await Project.countDocuments(), 0);
+  });
+
+  it('rejects an empty or unreadable import', async () => {
+    await importCsv('title,description\n').expect(400);
+    await importCsv('title,description\n"Unclosed,quote').expect(400);
+    await api.post('/api/projects/import').set('Authorization', editor.auth).send({ title: 'Not a list' }).expect(400);
+  });
+
+  it('requires the create permission', async () => {
+    await api.post('/api/projects/import').set('Authorization', support.auth).send([]).expect(403);
+  });
+});
+
+describe('PUT /api/projects/:id', () => {
+  it('updates a project', async () => {
+    const project = await seedProject();
+
+    const res = await api
+      .put(`/api/projects/${project.id}`)
+      .set('Authorization', editor.auth)
+      .send(projectBody({ title: 'Renamed', rating: 5 }))
+      .expect(200);
+
+    assert.equal(res.body.title, 'Renamed');
+    assert.equal(res.body.rating, 5);
+    // Slugs are kept when the title changes so links keep working
+    assert.equal(res.body.slug, 'analytics-dashboard');
+  });
+
+  it('returns 404 for a missing or trashed project', async () => {
+    const trashed = await seedProject({ deletedAt: new Date() });
+
+    await api.put(`/api/projects/${missingId()}`).set('Authorization', editor.auth).send(projectBody()).expect(404);
+    await api.put(`/api/projects/${trashed.id}`).set('Authorization', editor.auth).send(projectBody()).expect(404);
+  });
+
+  it('returns 409 when the new slug belongs to another project', async () => {
+    await seedProject({ title: 'First' });
+    const second = await seedProject({ title: 'Second' });
+
+    await api
+      .put(`/api/projects/${second.id}`)
+      .set('Authorization', editor.auth)
+      .send(projectBody({ slug: 'first' }))
+      .expect(409);
+  });
+
+  it('rejects an invalid id and out-of-range values', async () => {
+    const project = await seedProject();
+
+    await api.put('/api/projects/not-an-id').set('Authorization', editor.auth).send(projectBody()).expect(422);
+    await api
+      .put(`/api/projects/${project.id}`)
+      .set('Authorization', editor.auth)
+      .send(projectBody({ rating: 9 }))
+      .expect(422);
+  });
+});
+
+describe('PATCH /api/projects/:id/status', () => {
+  it('publishes a draft on a schedule', async () => {
+    const project = await seedProject({ status: 'draft' });
+    const publishAt = new Date(Date.now() + HOUR).toISOString();
+
+    const res = await api
+      .patch(`/api/projects/${project.id}/status`)
+      .set('Authorization', editor.auth)
+      .send({ status: 'published', publishAt })
+      .expect(200);
+
+    assert.equal(res.body.status, 'published');
+    assert.equal(res.body.publishAt, publishAt);
+
+    // Not live until the scheduled time
+    const listed = await api.get('/api/projects').expect(200);
+    assert.equal(listed.body.total, 0);
+  });
+
+  it('clears a schedule that is left out', async () => {
+    const project = await seedProject({ publishAt: new Date(Date.now() + HOUR) });
+
+    const res = await api
+      .patch(`/api/projects/${project.id}/status`)
+      .set('Authorization', editor.auth)
+      .send({ status: 'published' })
+      .expect(200);
+
+    assert.equal(res.body.publishAt, null);
+  });
+
+  it('returns 404 for a missing project', async () => {
+    await api
+      .patch(`/api/projects/${missingId()}/status`)
+      .set('Authorization', editor.auth)
+      .send({ status: 'published' })
+      .expect(404);
+  });
+
+  it('rejects unknown statuses and fields', async () => {
+    const project = await seedProject();
+
+    await api
+      .patch(`/api/projects/${project.id}/status`)
+      .set('Authorization', editor.auth)
+      .send({ status: 'live' })
+      .expect(422);
+    await api
+      .patch(`/api/projects/${project.id}/status`)
+      .set('Authorization', editor.auth)
+      .send({ status: 'draft', title: 'Sneaky' })
+      .expect(422);
+  });
+});
+
+describe('POST /api/projects/:id/image', () => {
+  const png = () =>
+    sharp({ create: { width: 32, height: 24, channels: 3, background: '#CCF381' } }).png().toBuffer();
+
+  it('stores the image and its variants', async () => {
+    const project = await seedProject();
+
+    const res = await api
+      .post(`/api/projects/${project.id}/image`)
+      .set('Authorization', editor.auth)
+      .attach('image', await png(), 'cover.png')
+      .expect(200);
+
+    assert.match(res.body.image, /^\/uploads\/projects\//);
+    assert.ok(res.body.imageVariants.webp);
+    assert.ok(res.body.imageVariants.thumbnail);
+
+    await api.get(res.body.image).expect(200);
+  });
+
+  it('rejects a file that is not an image', async () => {
+    const project = await seedProject();
+
+    await api
+      .post(`/api/projects/${project.id}/image`)
+      .set('Authorization', editor.auth)
+      .attach('image', Buffer.from('not an image'), { filename: 'cover.png', contentType: 'image/png' })
+      .expect(422);
+  });
+
+  it('adds an image to a project saved before description was required', async () => {
+    const { insertedId } = await Project.collection.insertOne({ title: 'Legacy', createdAt: new Date() });
+
+    const res = await api
+      .post(`/api/projects/${insertedId}/image`)
+      .set('Authorization', editor.auth)
+      .attach('image', await png(), 'cover.png')
+      .expect(200);
+
+    assert.match(res.body.image, /^\/uploads\/projects\//);
+  });
+
+  it('returns 404 for a missing project', async () => {
+    await api
+      .post(`/api/projects/${missingId()}/image`)
+      .set('Authorization', editor.auth)
+      .attach('image', await png(), 'cover.png')
+      .expect(404);
+  });
+});
+
+describe('DELETE /api/projects/:id', () => {
+  it('moves the project to the trash', async () => {
+    const project = await seedProject();
+
+    await api.delete(`/api/projects/${project.id}`).set('Authorization', owner.auth).expect(200);
+
+    const trashed = await Project.findById(project.id);
+    assert.ok(trashed.deletedAt);
+    assert.ok(trashed.deletedBy.equals(owner.user._id));
+
+    // Already in the trash
+    await api.delete(`/api/projects/${project.id}`).set('Authorization', owner.auth).expect(404);
+  });
+
+  it('requires the delete permission', async () => {
+    const project = await seedProject();
+
+    await api.delete(`/api/projects/${project.id}`).set('Authorization', editor.auth).expect(403);
+  });
+
+  it('rejects an invalid id', async () => {
+    await api.delete('/api/projects/123').set('Authorization', owner.auth).expect(422);
+  });
+});
+
+describe('DELETE /api/projects/trash/:id', () => {
+  it('permanently removes a trashed project', async () => {
+    const project = await seedProject({ deletedAt: new Date() });
+
+    await api.delete(`/api/projects/trash/${project.id}`).set('Authorization', owner.auth).expect(200);
+
+    assert.equal(await Project.exists({ _id: project.id }), null);
+  });
+
+  it('returns 404 for a project that is not in the trash', async () => {
+    const project = await seedProject();
+
+    await api.delete(`/api/projects/trash/${project.id}`).set('Authorization', owner.auth).expect(404);
+    assert.ok(await Project.exists({ _id: project.id }));
+  });
+});
+
+describe('POST /api/projects/:id/restore', () => {
+  it('takes a project out of the trash', async () => {
+    const project = await seedProject({ deletedAt: new Date(), deletedBy: owner.user._id });
+
+    const res = await api.post(`/api/projects/${project.id}/restore`).set('Authorization', owner.auth).expect(200);
+
+    assert.equal(res.body.deletedAt, null);
+  });
+
+  it('restores a project saved before description was required', async () => {
+    const { insertedId } = await Project.collection.insertOne({
+      title: 'Legacy',
+      createdAt: new Date(),
+      deletedAt: new Date(),
+      deletedBy: owner.user._id
+    });
+
+    const res = await api.post(`/api/projects/${insertedId}/restore`).set('Authorization', owner.auth).expect(200);
+
+    assert.equal(res.body.deletedAt, null);
+    assert.equal(res.body.deletedBy, null);
+  });
+
+  it('recreates a purged project from the audit log', async () => {
+    const project = await seedProject({ title: 'Purged' });
+    await api.delete(`/api/projects/${project.id}`).set('Authorization', owner.auth).expect(200);
+    await api.delete(`/api/projects/trash/${project.id}`).set('Authorization', owner.auth).expect(200);
+    await waitFor(() => AuditEvent.exists({ action: 'project.purge', targetId: project.id }));
+
+    const res = await api.post(`/api/projects/${project.id}/restore`).set('Authorization', owner.auth).expect(201);
+
+    assert.equal(res.body._id, project.id);
+    assert.equal(res.body.title, 'Purged');
+    assert.equal(res.body.slug, 'purged');
+    assert.equal(res.body.deletedAt, null);
+  });
+
+  it('recreates a purged project saved before description was required', async () => {
+    const { insertedId } = await Project.collection.insertOne({
+      title: 'Legacy',
+      slug: 'legacy',
+      createdAt: new Date()
+    });
+    const id = String(insertedId);
+    await api.delete(`/api/projects/${id}`).set('Authorization', owner.auth).expect(200);
+    await api.delete(`/api/projects/trash/${id}`).set('Authorization', owner.auth).expect(200);
+    await waitFor(() => AuditEvent.exists({ action: 'project.purge', targetId: id }));
+    await seedProject({ title: 'Legacy', slug: 'legacy' });
+
+    const res = await api.post(`/api/projects/${id}/restore`).set('Authorization', owner.auth).expect(201);
+
+    assert.equal(res.body._id, id);
+    assert.equal(res.body.title, 'Legacy');
+    assert.equal(res.body.slug, 'legacy-2');
+    assert.equal(res.body.description, undefined);
+  });
+
+  it('returns 409 for a project that is not in the trash', async () => {
+    const project = await seedProject();
+
+    await api.post(`/api/projects/${project.id}/restore`).set('Authorization', owner.auth).expect(409);
+  });
+
+  it('returns 404 when there is nothing to restore', async () => {
+    await api.post(`/api/projects/${missingId()}/restore`).set('Authorization', owner.auth).expect(404);
+  });
+});
@@ -0,0 +1,59 @@
+// test/quarantine.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import AuditEvent from '../models/AuditEvent.js';
+import Message from '../models/Message.js';
+import QuarantinedSubmission from '../models/QuarantinedSubmission.js';
+import { startTestApp, stopTestApp, clearDatabase, createStaff, waitFor } from './helpers.js';
+
+let api;
+let support;
+
+const hold = payload => QuarantinedSubmission.create({ reason: 'rate-limit-ip', ip: '203.0.113.1', payload });
+
+before(async () => {
+  api = await startTestApp();
+});
+
+after(stopTestApp);
+
+beforeEach(async () => {
+  await clearDatabase();
+  support = await createStaff('support');
+});
+
+describe('POST /api/quarantine/:id/release', () => {
+  it('delivers the submission to the inbox', async () => {
+    const submission = await hold({
+      senderName: 'Asha Client',
+      senderEmail: 'asha@example.com',
+      body: 'Held by mistake.',
+      website: ''
+    });
+
+    const res = await api
+      .post(`/api/quarantine/${submission.id}/release`)
+      .set('Authorization', support.auth)
+      .expect(201);
+
+    assert.equal(res.body.senderEmail, 'asha@example.com');
+    assert.equal((await QuarantinedSubmission.findById(submission.id)).status, 'released');
+
+    const audited = await waitFor(() => AuditEvent.findOne({ action: 'message.release' }));
+    assert.equal(String(audited.targetId), res.body._id);
+    assert.equal(String(audited.actor), support.user.id);
+  });
+
+  it('refuses a payload the contact form would have rejected', async () => {
+    const submission = await hold({ senderName: 'Bot', body: 'x'.repeat(10001) });
+
+    const res = await api
+      .post(`/api/quarantine/${submission.id}/release`)
+      .set('Authorization', support.auth)
+      .expect(422);
+
+    assert.deepEqual(res.body.errors.map(error => error.field).sort(), ['body', 'senderEmail']);
+    assert.equal(await Message.countDocuments(), 0);
+    assert.equal((await QuarantinedSubmission.findById(submission.id)).status, 'pending');
+  });
+});
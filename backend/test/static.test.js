@@ -0,0 +1,52 @@
+// test/static.test.js
+// The built frontend needs no database, so this app is never connected
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import './helpers.js';
+import { createApp } from '../app.js';
+
+let api;
+let distPath;
+
+before(async () => {
+  distPath = await fs.mkdtemp(path.join(os.tmpdir(), 'nexverra-dist-'));
+  await fs.mkdir(path.join(distPath, 'assets'));
+  await fs.writeFile(path.join(distPath, 'index.html'), '<html><head><title>App</title></head><body></body></html>');
+  await fs.writeFile(path.join(distPath, 'assets', 'index-BX2NS6d3.js'), 'console.log("app");\n'.repeat(200));
+  await fs.writeFile(path.join(distPath, 'favicon.svg'), '<svg xmlns="http://www.w3.org/2000/svg"/>');
+
+  api = request(createApp({ config: { distPath } }));
+});
+
+after(() => fs.rm(distPath, { recursive: true, force: true }));
+
+describe('static files', () => {
+  it('caches hashed assets for good', async () => {
+    const res = await api.get('/assets/index-BX2NS6d3.js').expect(200);
+
+    assert.equal(res.headers['cache-control'], 'public, max-age=31536000, immutable');
+  });
+
+  it('makes browsers revalidate the app shell and unhashed files', async () => {
+    const page = await api.get('/about').expect(200);
+    assert.equal(page.headers['cache-control'], 'no-cache');
+
+    const index = await api.get('/index.html').expect(200);
+    assert.equal(index.headers['cache-control'], 'no-cache');
+
+    const icon = await api.get('/favicon.svg').expect(200);
+    assert.equal(icon.headers['cache-control'], 'public, max-age=0');
+  });
+
+  it('compresses with brotli or gzip as the client prefers', async () => {
+    const brotli = await api.get('/assets/index-BX2NS6d3.js').set('Accept-Encoding', 'br, gzip').expect(200);
+    assert.equal(brotli.headers['content-encoding'], 'br');
+
+    const gzip = await api.get('/assets/index-BX2NS6d3.js').set('Accept-Encoding', 'gzip').expect(200);
+    assert.equal(gzip.headers['content-encoding'], 'gzip');
+  });
+});
@@ -0,0 +1,169 @@
+// test/stream.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import Message from '../models/Message.js';
+import Project from '../models/Project.js';
+import { getConfig } from '../lib/config.js';
+import { startTestApp, stopTestApp, clearDatabase, createStaff } from './helpers.js';
+
+let api;
+let owner;
+let support;
+
+// Splits raw SSE text into events, leaving out comments and the retry hint
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(block => /^event: /m.test(block))
+    .map(block => {
+      const fields = Object.fromEntries(
+        block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)])
+      );
+      return { id: fields.id, type: fields.event, data: JSON.parse(fields.data) };
+    });
+}
+
+// Opens the stream and resolves once `count` events have arrived, with the
+// events as the response body. `onOpen` runs when the stream is connected,
+// to make the writes the test waits for.
+function readEvents(count, { auth = support.auth, path = '/api/stream', headers = {}, onOpen = () => {} } = {}) {
+  return api
+    .get(path)
+    .set({ ...(auth && { Authorization: auth }), ...headers })
+    .parse((res, callback) => {
+      let text = '';
+      let opened = false;
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        text += chunk;
+        if (!opened) {
+          opened = true;
+          onOpen();
+        }
+
+        const events = parseEvents(text);
+        if (events.length >= count) {
+          callback(null, events.slice(0, count));
+          res.destroy();
+        }
+      });
+    });
+}
+
+const seedMessage = () =>
+  Message.createEnquiry({ senderName: 'Asha Client', senderEmail: 'asha@example.com', body: 'Please send a quote.' });
+
+before(async () => {
+  api = await startTestApp();
+});
+
+after(stopTestApp);
+
+beforeEach(async () => {
+  await clearDatabase();
+  [owner, support] = await Promise.all([createStaff('owner'), createStaff('support')]);
+});
+
+describe('GET /api/stream', () => {
+  it('requires a signed-in staff member', async () => {
+    await api.get('/api/stream').expect(401);
+    await api.get('/api/stream?token=not-a-token').expect(401);
+  });
+
+  it('pushes new enquiries from the contact form', async () => {
+    const res = await readEvents(1, {
+      onOpen: () =>
+        api
+          .post('/api/messages')
+          .set('X-Forwarded-For', '203.0.113.90')
+          .send({ senderName: 'Asha Client', senderEmail: 'asha@example.com', subject: 'Hello', body: 'Hi there.' })
+          .then(() => {})
+    }).expect(200);
+
+    assert.match(res.headers['content-type'], /^text\/event-stream/);
+    assert.equal(res.body[0].type, 'message.created');
+    assert.equal(res.body[0].data.subject, 'Hello');
+    assert.equal(res.body[0].data.id, String((await Message.findOne())._id));
+  });
+
+  it('pushes replies and status changes', async () => {
+    const message = await seedMessage();
+
+    const res = await readEvents(2, {
+      onOpen: async () => {
+        await api
+          .post(`/api/messages/${message.id}/replies`)
+          .set('Authorization', support.auth)
+          .send({ text: 'Thanks, a quote is on its way.' });
+        await api
+          .patch(`/api/messages/${message.id}`)
+          .set('Authorization', support.auth)
+          .send({ status: 'resolved' });
+      }
+    }).expect(200);
+
+    assert.deepEqual(
+      res.body.map(event => [event.type, event.data]),
+      [
+        ['message.replied', { id: message.id, sender: 'admin', status: 'read' }],
+        ['message.status', { id: message.id, status: 'resolved' }]
+      ]
+    );
+  });
+
+  it('pushes project creates, updates and deletes, taking the token from the query', async () => {
+    const token = owner.auth.replace('Bearer ', '');
+
+    const res = await readEvents(3, {
+      auth: null,
+      path: `/api/stream?token=${token}`,
+      onOpen: async () => {
+        const created = await api
+          .post('/api/projects')
+          .set('Authorization', owner.auth)
+          .send({ title: 'Live Dashboard', description: 'Streams.' });
+        await api
+          .put(`/api/projects/${created.body._id}`)
+          .set('Authorization', owner.auth)
+          .send({ title: 'Renamed Dashboard', description: 'Streams.' });
+        await api.delete(`/api/projects/${created.body._id}`).set('Authorization', owner.auth);
+      }
+    }).expect(200);
+
+    const project = await Project.findOne();
+    assert.deepEqual(
+      res.body.map(event => event.type),
+      ['project.created', 'project.updated', 'project.deleted']
+    );
+    assert.equal(res.body[1].data.title, 'Renamed Dashboard');
+    assert.deepEqual(res.body[2].data, { id: project.id, purged: false });
+  });
+
+  it('replays events missed since Last-Event-ID', async () => {
+    const first = await readEvents(1, { onOpen: () => seedMessage() }).expect(200);
+    const missed = await seedMessage();
+
+    const res = await readEvents(1, { headers: { 'Last-Event-ID': first.body[0].id } }).expect(200);
+
+    assert.equal(res.body[0].type, 'message.created');
+    assert.equal(res.body[0].data.id, missed.id);
+  });
+
+  it('closes the stream when the access token expires', async () => {
+    const { user } = support;
+    const token = jwt.sign({ sub: user.id, ver: user.tokenVersion, typ: 'access' }, getConfig().auth.jwtSecret, {
+      expiresIn: 1
+    });
+
+    const res = await readEvents(1, { auth: `Bearer ${token}` }).expect(200);
+
+    assert.equal(res.body[0].type, 'expired');
+  });
+
+  it('asks the client to reload when Last-Event-ID is unknown', async () => {
+    const res = await readEvents(1, { headers: { 'Last-Event-ID': 'elsewhere-1' } }).expect(200);
+
+    assert.equal(res.body[0].type, 'reset');
+  });
+});
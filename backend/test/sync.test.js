@@ -0,0 +1,175 @@
+// test/sync.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import AuditEvent from '../models/AuditEvent.js';
+import Message from '../models/Message.js';
+import QuarantinedSubmission from '../models/QuarantinedSubmission.js';
+import Project from '../models/Project.js';
+import { startTestApp, stopTestApp, clearDatabase, createStaff, waitFor } from './helpers.js';
+
+let api;
+let editor;
+let support;
+
+// Syncs are rate limited per client IP, so each request gets its own
+let request = 0;
+const sync = (body, auth) => {
+  request += 1;
+  const req = api.post('/api/sync').set('X-Forwarded-For', `198.51.100.${request}`);
+  return (auth ? req.set('Authorization', auth) : req).send(body);
+};
+
+const queuedMessage = (overrides = {}) => ({
+  clientId: 'msg-1',
+  senderName: 'Asha Client',
+  senderEmail: 'asha@example.com',
+  body: 'Written while offline.',
+  ...overrides
+});
+
+const queuedProject = (overrides = {}) => ({
+  clientId: 'proj-1',
+  title: 'Offline Dashboard',
+  description: 'Made on a train.',
+  category: 'Finance',
+  seo: { title: 'Offline Dashboard', description: 'Charts' },
+  ...overrides
+});
+
+before(async () => {
+  api = await startTestApp();
+});
+
+after(stopTestApp);
+
+beforeEach(async () => {
+  await clearDatabase();
+  [editor, support] = await Promise.all([createStaff('editor'), createStaff('support')]);
+});
+
+describe('POST /api/sync messages', () => {
+  it('creates a message once however often it is resent', async () => {
+    const first = await sync({ messages: [queuedMessage()] }).expect(200);
+    const again = await sync({ messages: [queuedMessage()] }).expect(200);
+
+    assert.equal(first.body.messages[0].status, 'created');
+    assert.deepEqual(again.body.messages[0], { clientId: 'msg-1', status: 'exists', id: first.body.messages[0].id });
+    assert.equal(await Message.countDocuments(), 1);
+
+    const saved = await Message.findById(first.body.messages[0].id);
+    assert.equal(saved.clientId, 'msg-1');
+    assert.equal(saved.history[0].text, 'Written while offline.');
+  });
+
+  it('reports a clientId repeated within a batch', async () => {
+    const res = await sync({
+      messages: [queuedMessage(), queuedMessage(), queuedMessage({ body: 'Something else entirely.' })]
+    }).expect(200);
+
+    assert.deepEqual(
+      res.body.messages.map(item => item.status),
+      ['created', 'exists', 'conflict']
+    );
+    assert.equal(await Message.countDocuments(), 1);
+  });
+
+  it('claims a copy already sent through the contact form', async () => {
+    const sent = await Message.createEnquiry(queuedMessage({ clientId: undefined }));
+
+    const res = await sync({ messages: [queuedMessage()] }).expect(200);
+
+    assert.equal(res.body.messages[0].status, 'exists');
+    assert.equal(res.body.messages[0].id, sent.id);
+    assert.equal((await Message.findById(sent.id)).clientId, 'msg-1');
+    assert.equal(await Message.countDocuments(), 1);
+  });
+
+  it('reports invalid items without failing the batch', async () => {
+    const res = await sync({
+      messages: [queuedMessage({ clientId: 'bad', senderEmail: 'nope' }), queuedMessage({ clientId: undefined })]
+    }).expect(200);
+
+    assert.equal(res.body.messages[0].clientId, 'bad');
+    assert.equal(res.body.messages[0].status, 'invalid');
+    assert.deepEqual(res.body.messages[0].errors.map(error => error.field), ['senderEmail']);
+    assert.equal(res.body.messages[1].clientId, null);
+    assert.equal(res.body.messages[1].status, 'invalid');
+    assert.equal(await Message.countDocuments(), 0);
+  });
+
+  it('counts each message against the contact form limit for the IP', async () => {
+    const messages = Array.from({ length: 7 }, (_, n) =>
+      queuedMessage({ clientId: `ip-${n}`, senderEmail: `client${n}@example.com`, body: `Enquiry ${n}.` })
+    );
+
+    const res = await sync({ messages }).expect(200);
+
+    assert.deepEqual(
+      res.body.messages.map(item => item.status),
+      ['created', 'created', 'created', 'created', 'created', 'quarantined', 'quarantined']
+    );
+    assert.equal(await Message.countDocuments(), 5);
+    assert.equal(await QuarantinedSubmission.countDocuments({ reason: 'rate-limit-ip' }), 2);
+  });
+
+  it('holds messages over the per-email limit or caught by the bot checks', async () => {
+    const messages = Array.from({ length: 4 }, (_, n) =>
+      queuedMessage({ clientId: `email-${n}`, senderEmail: 'busy@example.com', body: `Enquiry ${n}.` })
+    );
+    messages.unshift(queuedMessage({ clientId: 'bot', senderEmail: 'bot@example.com', website: 'http://spam.example' }));
+
+    const res = await sync({ messages }).expect(200);
+
+    assert.deepEqual(
+      res.body.messages.map(item => item.status),
+      ['quarantined', 'created', 'created', 'created', 'quarantined']
+    );
+    const held = await QuarantinedSubmission.find().sort({ _id: 1 });
+    assert.deepEqual(held.map(submission => submission.reason), ['honeypot', 'rate-limit-email']);
+    assert.equal(held[1].payload.clientId, 'email-3');
+  });
+});
+
+describe('POST /api/sync projects', () => {
+  it('creates a project once and audits it', async () => {
+    const first = await sync({ projects: [queuedProject()] }, editor.auth).expect(200);
+    const again = await sync({ projects: [queuedProject()] }, editor.auth).expect(200);
+
+    const { id } = first.body.projects[0];
+    assert.equal(first.body.projects[0].status, 'created');
+    assert.deepEqual(again.body.projects[0], { clientId: 'proj-1', status: 'exists', id });
+    assert.equal(await Project.countDocuments(), 1);
+
+    const event = await waitFor(() => AuditEvent.findOne({ action: 'project.sync' }));
+    assert.equal(String(event.targetId), id);
+    assert.equal(String(event.actor), editor.user.id);
+  });
+
+  it('returns the stored project when the local copy has drifted', async () => {
+    const first = await sync({ projects: [queuedProject()] }, editor.auth).expect(200);
+    await Project.updateOne({ _id: first.body.projects[0].id }, { title: 'Renamed Online' });
+
+    const res = await sync({ projects: [queuedProject()] }, editor.auth).expect(200);
+
+    assert.equal(res.body.projects[0].status, 'conflict');
+    assert.equal(res.body.projects[0].project.title, 'Renamed Online');
+    assert.equal(await Project.countDocuments(), 1);
+  });
+
+  it('reports a slug taken by another project', async () => {
+    await Project.create({ title: 'Taken', slug: 'taken', description: 'Already here.' });
+
+    const res = await sync({ projects: [queuedProject({ slug: 'taken' })] }, editor.auth).expect(200);
+
+    assert.equal(res.body.projects[0].status, 'conflict');
+    assert.equal(res.body.projects[0].message, 'Slug is already used by another project');
+    assert.equal(await Project.countDocuments(), 1);
+  });
+
+  it('requires permission to create projects', async () => {
+    await sync({ projects: [queuedProject()] }).expect(401);
+    await sync({ projects: [queuedProject()] }, support.auth).expect(403);
+
+    assert.equal(await Project.countDocuments(), 0);
+  });
+});
@@ -0,0 +1,116 @@
+// test/users.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import AdminUser from '../models/AdminUser.js';
+import { startTestApp, stopTestApp, clearDatabase, createStaff } from './helpers.js';
+
+let api;
+let owner;
+let editor;
+
+before(async () => {
+  api = await startTestApp();
+});
+
+after(stopTestApp);
+
+beforeEach(async () => {
+  await clearDatabase();
+  [owner, editor] = await Promise.all([createStaff('owner'), createStaff('editor')]);
+});
+
+describe('POST /api/users', () => {
+  it('invites a staff member with the password given', async () => {
+    const res = await api
+      .post('/api/users')
+      .set('Authorization', owner.auth)
+      .send({ username: 'New.Support', name: 'New Support', password: 'a-chosen-passphrase' })
+      .expect(201);
+
+    assert.equal(res.body.user.username, 'new.support');
+    assert.equal(res.body.user.role, 'support');
+    assert.equal(res.body.user.invitedBy, owner.user.id);
+    assert.equal(res.body.user.passwordHash, undefined);
+    assert.equal(res.body.temporaryPassword, undefined);
+  });
+
+  it('returns a temporary password when none is given', async () => {
+    const res = await api
+      .post('/api/users')
+      .set('Authorization', owner.auth)
+      .send({ username: 'temp-editor', role: 'editor' })
+      .expect(201);
+
+    const user = await AdminUser.findById(res.body.user._id);
+    assert.ok(await user.verifyPassword(res.body.temporaryPassword));
+  });
+
+  it('refuses a username that is taken', async () => {
+    await api
+      .post('/api/users')
+      .set('Authorization', owner.auth)
+      .send({ username: editor.user.username.toUpperCase() })
+      .expect(409);
+  });
+});
+
+describe('PATCH /api/users/:id', () => {
+  it('changes role and details', async () => {
+    const res = await api
+      .patch(`/api/users/${editor.user.id}`)
+      .set('Authorization', owner.auth)
+      .send({ role: 'support', name: 'Moved to support' })
+      .expect(200);
+
+    assert.equal(res.body.role, 'support');
+    assert.equal(res.body.name, 'Moved to support');
+  });
+
+  it('does not let owners demote or deactivate themselves', async () => {
+    const updateSelf = body => api.patch(`/api/users/${owner.user.id}`).set('Authorization', owner.auth).send(body);
+
+    await updateSelf({ role: 'editor' }).expect(400);
+    await updateSelf({ active: false }).expect(400);
+
+    const stored = await AdminUser.findById(owner.user.id);
+    assert.equal(stored.role, 'owner');
+    assert.equal(stored.active, true);
+  });
+
+  it('signs the user out everywhere when the password is reset', async () => {
+    await api.get('/api/messages').set('Authorization', editor.auth).expect(200);
+
+    await api
+      .patch(`/api/users/${editor.user.id}`)
+      .set('Authorization', owner.auth)
+      .send({ password: 'a-brand-new-passphrase' })
+      .expect(200);
+
+    await api.get('/api/messages').set('Authorization', editor.auth).expect(401);
+  });
+});
+
+describe('DELETE /api/users/:id', () => {
+  it('deactivates the user and revokes their tokens', async () => {
+    await api.delete(`/api/users/${editor.user.id}`).set('Authorization', owner.auth).expect(200);
+
+    assert.equal((await AdminUser.findById(editor.user.id)).active, false);
+    await api.get('/api/messages').set('Authorization', editor.auth).expect(401);
+  });
+
+  it('does not let owners deactivate themselves', async () => {
+    await api.delete(`/api/users/${owner.user.id}`).set('Authorization', owner.auth).expect(400);
+  });
+});
+
+describe('permissions', () => {
+  it('only lets owners manage users', async () => {
+    await api.get('/api/users').set('Authorization', editor.auth).expect(403);
+    await api.post('/api/users').set('Authorization', editor.auth).send({ username: 'sneaky' }).expect(403);
+    await api
+      .patch(`/api/users/${owner.user.id}`)
+      .set('Authorization', editor.auth)
+      .send({ active: false })
+      .expect(403);
+  });
+});